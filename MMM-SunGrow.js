@@ -1,4 +1,4 @@
-/* global Module */
+/* global Module, config */
 
 /* Magic Mirror
  * Module: MMM-SunGrow
@@ -15,123 +15,165 @@ Module.register("MMM-SunGrow", {
     updateInterval: 10 * 1000, //every 10 sec
     appKey: "",
     secretKey: "",
-    plantId: "",
-    plantSN: "",
+    plantId: "", //optional, found automatically if the account has only one plant
+    plantSN: "", //optional, found automatically
+    plants: [], //optional: several plants ({ plantId, plantSN, ... overriding the settings above }), shown as their sum
     appId: "",
     userName: undefined,
     userPassword: undefined,
     updateIntervalBasicData: 1000 * 60 * 15, //every 15 minutes 1000 * 60 * 15
     portalUrl: "https://gateway.isolarcloud.eu",
+    dataSource: "cloud", //"modbus" reads the live and daily data from the inverter in the LAN
+    modbus: undefined, //with dataSource "modbus": { host: "192.168.1.50", port: 502, unitId: 1, timeout: 5000 }
     showOverview: true,
+    showEnvironment: true, //CO2 avoided and trees planted, from the overview production
+    co2Country: undefined, //grid emission factor of this country (e.g. "DE"), defaults to the country of the locale
+    co2Factor: undefined, //g CO2 per kWh of grid power, overrides co2Country
+    showInverter: false, //MPPT/string and inverter panel for troubleshooting
+    inverterUpdateInterval: 1000 * 60 * 5, //every 5 minutes
+    weakStringThreshold: 0.7, //highlight strings below 70 % of their siblings
+    showAlarms: true, //banner with the active faults and alarms of the plant
+    alarmMinSeverity: "minor", //critical, major, minor or warning
+    alarmAlert: true, //raise each new alarm once as MagicMirror alert (SHOW_ALERT)
+    alarmAlertTimer: 15 * 1000, //how long the alert is shown
+    customPoints: [], //extra measuring points as tiles, e.g. ["batteryTemperature", { point: "13019", deviceType: "14", label: "Inside", unit: "°C" }]
     showDayEnergy: true,
+    showKpis: true, //autarky and self consumption rate as gauges
+    showBattery: true, //battery state, time to full/reserve, today's throughput and SOC curve
+    batteryCapacity: undefined, //usable capacity in kWh, needed for the time to full/reserve
+    batteryReserve: 10, //% the battery keeps for backup, the end of the discharge estimate
+    showPowerCurve: true,
+    powerCurveInterval: 5, //minutes between two points of the power curve
+    showForecast: true, //expected clear sky production vs. actual, needs the plant location (details or forecast)
+    forecast: undefined, //{ tilt: 30, azimuth: 180, losses: 14, threshold: 20, cloudCover: "clouds.json", latitude, longitude, peakPower }
+    showEnergyHistory: true, //bar charts of the current month and year
+    showComparison: true, //today vs. yesterday and last year, best days (without historyStore since the start only)
+    showFinancial: true, //grid cost, feed-in revenue and savings, shown once a tariff is set (without historyStore since the start only)
+    tariff: undefined, //{ currency: "EUR", purchase: 0.30, feedIn: 0.08, timeOfUse: [{ from: "22:00", to: "06:00", purchase: 0.22 }], priceFile: "prices.json" }
+    historyStore: true, //keep daily totals and power snapshots in history/, else in memory only
+    historyRetentionDays: 400, //days of daily totals to keep
+    snapshotInterval: 15, //minutes between two stored power snapshots
+    snapshotRetentionDays: 7, //days of power snapshots to keep
     compactMode: false,
-    decimal: "comma",
+    showLastUpdate: true, //time of the last live data below the module
+    staleAfter: 5 * 60 * 1000, //live data older than this (at night twice nightUpdateInterval) is dimmed and marked, daily data after twice updateIntervalBasicData
+    nightMode: true, //between sunset and sunrise: live data every nightUpdateInterval, no MPPT polling (needs the plant location)
+    nightUpdateInterval: 60 * 1000, //live data (battery, grid, load) at night
+    nightLayout: false, //minimal layout (load, grid, battery, sunrise) at night
+    broadcastData: true, //share power flow, day energy and alarms with other modules (SUNGROW_* notifications)
+    mqtt: undefined, //optional: { url: "mqtt://homeassistant:1883", username, password, topicPrefix: "sungrow", discoveryPrefix: "homeassistant" }
+    locale: undefined, //number format, defaults to the MagicMirror locale/language
+    decimal: undefined, //optional: "comma" or "period" forces the decimal separator
+    precision: { power: 2, energy: 2, percent: 0 }, //decimals of kW/MW, kWh/MWh and %
     moduleRelativePath: "modules/MMM-SunGrow", //workaround for nunjucks image location
-    primes: [
-      499, 997, 1499, 1997, 2503, 2999, 3499, 4001, 4493, 4999, 5501, 6007,
-      6491, 7001, 7499, 7993, 8501, 8999, 9497, 9773
-    ], //prime factors to avoid api limitation (429) in schedules
-    mockData: false //for development purposes only!
+    requestBudget: 1000, //max. iSolarCloud requests per hour, shared by all browsers
+    schedulerJitter: 2000, //max. random delay (ms) added to each poll to avoid api limitation (429)
+    debug: false, //log every poll of node_helper, not only starts, pauses, back-offs and errors
+    mockData: false, //for development purposes only!
+    mockScenario: "static", //static, staticPv, sunnyDay, nightBattery, gridOutage, apiError
+    mockTimeStep: 15 //simulated minutes per live data request in mock scenarios
   },
 
   validDecimal: ["comma", "period"],
 
+  //g CO2 per kWh of the national grid mix (approx. 2023), used without co2Factor
+  co2Factors: {
+    AT: 110, AU: 500, BE: 150, CH: 40, CZ: 420, DE: 380, DK: 120, ES: 150, FR: 55, GB: 240,
+    IE: 290, IT: 290, LU: 90, NL: 270, NO: 30, PL: 660, PT: 160, SE: 40, US: 370
+  },
+  co2FactorDefault: 400, //unknown country
+  //country of a locale without region
+  languageCountries: { de: "DE", en: "GB", fr: "FR", it: "IT", es: "ES", nl: "NL", pl: "PL", pt: "PT", da: "DK", sv: "SE", nb: "NO", cs: "CZ" },
+  co2PerTree: 22000, //g CO2 a tree binds per year
+
   requiresVersion: "2.1.0", // Required version of MagicMirror
 
   start: function () {
-    var self = this;
-
     console.log("Starting module MMM-SunGrow");
     Log.info("[MMM-SunGrow] start() called, sending config to node_helper...");
-    this.sendSocketNotification("SUN_GROW_CONFIG", this.config);
     //Flag for check if module is loaded
     this.loaded = false;
-
-    self.getCurrentPowerData();
-    setInterval(function () {
-      self.getCurrentPowerData();
-      self.updateDom();
-    }, this.config.updateInterval);
+    //when each dataset last arrived (ms) and the last error of the helper
+    this.lastUpdates = {};
+    this.lastError = undefined;
 
     //sanitize deci parammaleter
-    if (this.validDecimal.indexOf(this.config.decimal) == -1) {
-      this.config.decimal = "comma";
+    if (this.config.decimal && this.validDecimal.indexOf(this.config.decimal) == -1) {
+      this.config.decimal = undefined;
     }
 
-    if (this.config.showOverview) {
-      setTimeout(
-        () => self.getOverviewData(),
-        this.config.primes.sort(() => Math.random() - 0.5)[0]
-      );
+    //polling is done by the node_helper, we only subscribe with our config
+    //every browser tab gets its own screen id, a pause only counts for this one;
+    //the id survives a reload so the helper does not collect stale screens
+    this.screen = sessionStorage.getItem("MMM-SunGrow-screen") || Math.random().toString(36).slice(2);
+    sessionStorage.setItem("MMM-SunGrow-screen", this.screen);
+    this.sendSocketNotification("SUN_GROW_CONFIG", {
+      identifier: this.identifier,
+      screen: this.screen,
+      config: this.config
+    });
 
-      setInterval(function () {
-        self.getOverviewData();
-        self.updateDom();
-      }, this.config.updateIntervalBasicData +
-        this.config.primes.sort(() => Math.random() - 0.5)[0]);
-    }
+    this.loaded = true;
 
-    if (this.config.showDayEnergy) {
-      setTimeout(
-        () => self.getDayEnergyData(),
-        this.config.primes.sort(() => Math.random() - 0.5)[0]
-      );
+    //data that stops coming in turns stale without a new notification
+    setInterval(() => this.checkDataState(), 30 * 1000);
+  },
 
-      setInterval(function () {
-        self.getDayEnergyData();
-        self.updateDom();
-      }, this.config.updateIntervalBasicData +
-        this.config.primes.sort(() => Math.random() - 0.5)[0]);
+  getLocale: function () {
+    if (this.config.locale) {
+      return this.config.locale;
     }
+    //the old decimal switch picks a locale with the wanted separator
+    if (this.config.decimal == "comma") {
+      return "de-DE";
+    } else if (this.config.decimal == "period") {
+      return "en-US";
+    }
+    return config.locale || config.language;
+  },
 
-    setTimeout(
-      () => self.getDetailsData(),
-      this.config.primes.sort(() => Math.random() - 0.5)[0]
-    );
-
-    this.loaded = true;
+  getPrecision: function (quantity) {
+    var precision = Object.assign({}, this.defaults.precision, this.config.precision);
+    return precision[quantity];
   },
 
-  getDetailsData: function () {
-    this.sendSocketNotification(
-      "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_REQUESTED",
-      {
-        config: this.config
-      }
-    );
+  //locale aware number with thousands separators, the formatters are cached
+  formatNumber: function (value, decimals, options) {
+    var key = decimals + JSON.stringify(options || {});
+    this.numberFormats = this.numberFormats || {};
+    if (!this.numberFormats[key]) {
+      this.numberFormats[key] = new Intl.NumberFormat(
+        this.getLocale(),
+        Object.assign({ minimumFractionDigits: decimals, maximumFractionDigits: decimals }, options)
+      );
+    }
+    return this.numberFormats[key].format(value);
   },
 
-  getCurrentPowerData: function () {
-    this.sendSocketNotification(
-      "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_REQUESTED",
-      {
-        config: this.config
-      }
-    );
+  //value in base units (W, Wh) scaled to k or M, plain base units without decimals
+  formatScaled: function (value, unit, decimals) {
+    var abs = Math.abs(value);
+    if (abs >= 1000000) {
+      return this.formatNumber(value / 1000000, decimals) + " M" + unit;
+    } else if (abs >= 1000) {
+      return this.formatNumber(value / 1000, decimals) + " k" + unit;
+    }
+    return this.formatNumber(value, 0) + " " + unit;
   },
 
-  getDayEnergyData: function () {
-    this.sendSocketNotification(
-      "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_REQUESTED",
-      {
-        config: this.config
-      }
-    );
+  //power in W (or in unit, e.g. the "kW" of the mock files) as W, kW or MW
+  formatPower: function (value, unit) {
+    var factor = { kW: 1000, MW: 1000000 }[unit] || 1;
+    return this.formatScaled(value * factor, "W", this.getPrecision("power"));
   },
 
-  getDecimalAdjustedValue: function (value) {
-    if (this.config.decimal == "comma") {
-      return value.toFixed(2).replace(".", "," );
-    } else {
-      return value.toFixed(2);
-    }
+  //energy in Wh as Wh, kWh or MWh
+  formatEnergy: function (value) {
+    return this.formatScaled(value, "Wh", this.getPrecision("energy"));
   },
 
-  getArrowConnections: function (connections) {
-    return connections.map(
-      (connection) =>
-        connection.from.toLowerCase() + "_" + connection.to.toLowerCase()
-    );
+  formatPercent: function (value, options) {
+    return this.formatNumber(value / 100, this.getPrecision("percent"), Object.assign({ style: "percent" }, options));
   },
 
   getHeader: function () {
@@ -147,8 +189,8 @@ Module.register("MMM-SunGrow", {
           " - " +
           this.dataNotificationDetails.details.location.address +
           " - " +
-          this.getDecimalAdjustedValue(this.dataNotificationDetails.details.peakPower) +
-          " KWP";
+          this.formatPower(this.dataNotificationDetails.details.peakPower, "kW") +
+          "p";
       } else {
         title = this.translate("TITLE");
       }
@@ -167,6 +209,9 @@ Module.register("MMM-SunGrow", {
       return "templates/default.njk";
     }
     if (this.dataNotificationCurrentPower !== undefined) {
+      if (this.config.nightLayout && this.dataNotificationSun && this.dataNotificationSun.sun.night) {
+        return "templates/night.njk";
+      }
       if (
         this.dataNotificationCurrentPower.siteCurrentPowerFlow.STORAGE !==
         undefined
@@ -196,105 +241,718 @@ Module.register("MMM-SunGrow", {
     if (this.dataNotificationCurrentPower !== undefined) {
       return {
         config: this.config,
-        arrowDirections: this.mapArrowDirections(),
+        plantChoice: this.mapPlantChoice(),
+        alarms: this.mapAlarms(),
+        dataState: this.mapDataState(),
+        sun: this.mapSun(),
+        flowDiagram: this.mapFlowDiagram(),
+        kpis: this.mapKpis(),
+        battery: this.mapBattery(),
+        customPoints: this.mapCustomPoints(),
+        inverters: this.mapInverters(),
         powerAndStatus: this.mapCurrentPowerAndStatus(),
+        powerCurve: this.mapPowerCurve(),
+        forecast: this.mapForecast(),
+        energyHistory: this.mapEnergyHistory(),
+        comparison: this.mapComparison(),
+        financial: this.mapFinancial(),
         lifeTimeData: this.mapLifeTime(),
+        environment: this.mapEnvironment(),
         dayEnergyData: this.mapDayEnergy()
       };
     }
 
+    //nothing to show yet, but maybe why
+    var dataState = this.mapDataState();
     return {
-      status: "Loading MMM-SunGrow...",
+      status: dataState && dataState.error
+        ? dataState.error.kind + ": " + dataState.error.message
+        : "Loading MMM-SunGrow...",
       config: this.config
     };
   },
 
-  mapArrowDirections: function () {
-    var allArrowConnections = this.getArrowConnections(
-      this.dataNotificationCurrentPower.siteCurrentPowerFlow.connections
-    );
-    var arrowPvLoad = "none";
-    if (allArrowConnections.includes("pv_load")) {
-      arrowPvLoad = "right_green";
-    }
-    var arrowStorageLoad = "none";
-    if (allArrowConnections.includes("pv_storage")) {
-      arrowStorageLoad = "left_green";
-    } else if (allArrowConnections.includes("storage_load")) {
-      arrowStorageLoad = "right_green";
-    } else if (allArrowConnections.includes("load_storage")) {
-      arrowStorageLoad = "left_red";
-    }
-    var arrowGridLoad = "none";
-    if (allArrowConnections.includes("load_grid")) {
-      arrowGridLoad = "right_green";
-    } else if (allArrowConnections.includes("grid_load")) {
-      arrowGridLoad = "left_red";
+  //one svg for PV, battery, home and grid, with an animated line per source -> sink flow
+  mapFlowDiagram: function () {
+    var powerFlow = this.dataNotificationCurrentPower.siteCurrentPowerFlow;
+    var hasStorage = powerFlow.STORAGE !== undefined;
+    var iconSize = 56;
+    var radius = 30; //lines start and end this far from the node centers
+    var middle = hasStorage ? 115 : 85; //without battery PV, home and grid are in one row
+
+    var nodes = {
+      PV: { x: 60, y: hasStorage ? 55 : middle },
+      STORAGE: { x: 60, y: 175 },
+      LOAD: { x: 180, y: middle },
+      GRID: { x: 300, y: middle }
+    };
+    //control points of the curved connections, the others are straight
+    var curves = {
+      "PV-GRID": { x: 180, y: nodes.PV.y - 55 },
+      "PV-STORAGE": { x: 15, y: middle },
+      "GRID-STORAGE": { x: 180, y: 230 },
+      "STORAGE-GRID": { x: 180, y: 230 }
+    };
+
+    //quadratic curve between two nodes, shortened by radius at both ends
+    var connect = (from, to) => {
+      var start = nodes[from];
+      var end = nodes[to];
+      var control = curves[from + "-" + to] || { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+      var shorten = (point, towards) => {
+        var length = Math.hypot(towards.x - point.x, towards.y - point.y) || 1;
+        return {
+          x: point.x + ((towards.x - point.x) / length) * radius,
+          y: point.y + ((towards.y - point.y) / length) * radius
+        };
+      };
+      var a = shorten(start, control);
+      var b = shorten(end, control);
+      return {
+        d: "M" + a.x.toFixed(1) + "," + a.y.toFixed(1) +
+          " Q" + control.x.toFixed(1) + "," + control.y.toFixed(1) +
+          " " + b.x.toFixed(1) + "," + b.y.toFixed(1),
+        //middle of the curve
+        labelX: (0.25 * a.x + 0.5 * control.x + 0.25 * b.x).toFixed(1),
+        labelY: (0.25 * a.y + 0.5 * control.y + 0.25 * b.y - 4).toFixed(1)
+      };
+    };
+
+    var flows = (powerFlow.flows || []).filter((flow) => flow.power > 0);
+    var max = Math.max.apply(null, flows.map((flow) => flow.power).concat([0]));
+    var power = (node) => {
+      if (powerFlow[node].status === "Idle") {
+        return this.translate("STAND_BY");
+      }
+      return this.formatPower(powerFlow[node].currentPower, powerFlow.unit);
+    };
+    var icon = (node, image, x, y) => ({
+      x: x - iconSize / 2,
+      y: y - iconSize / 2,
+      size: iconSize,
+      image: this.config.moduleRelativePath + "/images/" + image,
+      label: power(node),
+      labelX: x,
+      labelY: y + iconSize / 2 + 10,
+      idle: powerFlow[node].status === "Idle",
+      off: powerFlow[node].status === "Disconnected"
+    });
+
+    var storage;
+    if (hasStorage) {
+      var chargeLevel = powerFlow.STORAGE.chargeLevel;
+      storage = {
+        x: nodes.STORAGE.x - 22,
+        y: nodes.STORAGE.y - 11,
+        fillWidth: ((40 * chargeLevel) / 100).toFixed(1),
+        fillColor: this.getChargeColor(chargeLevel / 100),
+        chargeLevel: this.formatPercent(chargeLevel),
+        labelX: nodes.STORAGE.x,
+        labelY: nodes.STORAGE.y + iconSize / 2 + 10,
+        label: power("STORAGE"),
+        idle: powerFlow.STORAGE.status === "Idle"
+      };
     }
+
     return {
-      arrowPvLoad,
-      arrowStorageLoad,
-      arrowGridLoad
+      height: hasStorage ? 240 : 140,
+      pv: icon("PV", "pv.svg", nodes.PV.x, nodes.PV.y),
+      load: icon("LOAD", "home.svg", nodes.LOAD.x, nodes.LOAD.y),
+      grid: icon("GRID", "grid.svg", nodes.GRID.x, nodes.GRID.y),
+      storage,
+      //idle connections are drawn as thin tracks
+      tracks: ["PV", "GRID"].concat(hasStorage ? ["STORAGE"] : []).map((node) => connect(node, "LOAD").d),
+      flows: flows.map((flow) => {
+        var share = flow.power / max;
+        return Object.assign(connect(flow.from, flow.to), {
+          source: flow.from.toLowerCase(),
+          width: (1.5 + 4.5 * Math.sqrt(share)).toFixed(1),
+          duration: (3 - 2.4 * share).toFixed(2), //seconds per dash, faster for more power
+          label: this.formatPower(flow.power, powerFlow.unit)
+        });
+      })
     };
   },
 
+  mapCustomPoints: function () {
+    if (!this.dataNotificationCustomPoints || !this.dataNotificationCustomPoints.customPoints.length) {
+      return;
+    }
+    return this.dataNotificationCustomPoints.customPoints.map((point) => ({
+      //catalogue labels are translation keys, own labels are shown as they are
+      label: this.translate(point.label),
+      value: point.value === null ? "-" : this.formatNumber(point.value, point.decimals) + (point.unit ? " " + point.unit : ""),
+      plant: point.plant
+    }));
+  },
+
+  mapAlarms: function () {
+    if (!this.config.showAlarms || !this.dataNotificationAlarms || !this.dataNotificationAlarms.alarms.length) {
+      return;
+    }
+    return this.dataNotificationAlarms.alarms.map((alarm) => ({
+      severity: alarm.severity,
+      severityText: this.translate("SEVERITY_" + alarm.severity.toUpperCase()),
+      device: alarm.device,
+      message: alarm.message + (alarm.code ? " (" + alarm.code + ")" : ""),
+      since: alarm.since ? this.formatSince(alarm.since) : "-",
+      plant: alarm.plant
+    }));
+  },
+
+  //"YYYY-MM-DD HH:mm:ss" of the API as short local date and time
+  formatSince: function (since) {
+    var date = new Date(since.replace(" ", "T"));
+    if (isNaN(date.getTime())) {
+      return since;
+    }
+    return date.toLocaleString(this.getLocale(), { dateStyle: "short", timeStyle: "short" });
+  },
+
+  //raise every new alarm once: node_helper flags the alarms it already sent (to any browser) as alerted,
+  //an alarm that recovered and comes back again is raised again
+  alertAlarms: function (alarms) {
+    if (this.config.showAlarms && this.config.alarmAlert) {
+      alarms
+        .filter((alarm) => !alarm.alerted)
+        .forEach((alarm) => {
+          this.sendNotification("SHOW_ALERT", {
+            title: this.translate("ALARM") + ": " + this.translate("SEVERITY_" + alarm.severity.toUpperCase()),
+            message: (alarm.device ? alarm.device + " - " : "") + alarm.message,
+            timer: this.config.alarmAlertTimer
+          });
+        });
+    }
+  },
+
+  mapInverters: function () {
+    if (!this.config.showInverter || !this.dataNotificationInverter || !this.dataNotificationInverter.inverters.length) {
+      return;
+    }
+    return this.dataNotificationInverter.inverters.map((inverter) => ({
+      name: inverter.name || inverter.model || inverter.sn,
+      model: inverter.model,
+      sn: inverter.sn,
+      firmware: inverter.firmware || "-",
+      temperature: inverter.temperature === null ? "-" : this.formatNumber(inverter.temperature, 1) + " °C",
+      state: inverter.state,
+      stateText: this.translate("STATE_" + inverter.state.toUpperCase()),
+      mppts: inverter.mppts.map((mppt) => ({
+        index: mppt.index,
+        voltage: this.formatNumber(mppt.voltage, 1) + " V",
+        current: this.formatNumber(mppt.current, 2) + " A",
+        power: this.formatPower(mppt.power),
+        weak: mppt.weak
+      }))
+    }));
+  },
+
   mapCurrentPowerAndStatus: function () {
     var powerAndStatus = this.dataNotificationCurrentPower.siteCurrentPowerFlow;
     var storage;
     if (powerAndStatus.STORAGE !== undefined) {
       storage = {
-        power: this.getDecimalAdjustedValue(powerAndStatus.STORAGE.currentPower),
+        power: this.formatPower(powerAndStatus.STORAGE.currentPower, powerAndStatus.unit),
         status: powerAndStatus.STORAGE.status,
-        chargeLevel: powerAndStatus.STORAGE.chargeLevel,
-        chargeLevelVisual: {
-          rectFillValue: (
-            54 * //hardcoded end of battery svg position
-            (powerAndStatus.STORAGE.chargeLevel / 100)
-          ).toFixed(0),
-          rectFillColor: this.getChargeColor(
-            powerAndStatus.STORAGE.chargeLevel / 100
-          )
-        }
+        chargeLevel: powerAndStatus.STORAGE.chargeLevel
       };
     }
     return {
       pv: {
-        power: this.getDecimalAdjustedValue(powerAndStatus.PV.currentPower),
+        power: this.formatPower(powerAndStatus.PV.currentPower, powerAndStatus.unit),
         status: powerAndStatus.PV.status
       },
       storage,
       load: {
-        power: this.getDecimalAdjustedValue(powerAndStatus.LOAD.currentPower),
+        power: this.formatPower(powerAndStatus.LOAD.currentPower, powerAndStatus.unit),
         status: powerAndStatus.LOAD.status
       },
       grid: {
-        power: this.getDecimalAdjustedValue(powerAndStatus.GRID.currentPower),
+        power: this.formatPower(powerAndStatus.GRID.currentPower, powerAndStatus.unit),
         status: powerAndStatus.GRID.status
       },
       unit: powerAndStatus.unit
     };
   },
 
+  mapBattery: function () {
+    var powerFlow = this.dataNotificationCurrentPower.siteCurrentPowerFlow;
+    var storage = powerFlow.STORAGE;
+    if (!this.config.showBattery || !storage) {
+      return;
+    }
+
+    //time until full or down to the reserve at the current rate
+    var estimate;
+    var capacity = parseFloat(this.config.batteryCapacity) * 1000;
+    var powerW = storage.currentPower * ({ kW: 1000, MW: 1000000 }[powerFlow.unit] || 1);
+    if (capacity > 0 && powerW > 0) {
+      var reserve = Math.min(Math.max(parseFloat(this.config.batteryReserve) || 0, 0), 100);
+      var remaining;
+      if (storage.status === "Charging") {
+        estimate = { label: "TIME_TO_FULL" };
+        remaining = 100 - storage.chargeLevel;
+      } else if (storage.status === "Discharging") {
+        estimate = { label: "TIME_TO_RESERVE" };
+        remaining = storage.chargeLevel - reserve;
+      }
+      if (estimate) {
+        estimate.text = remaining > 0 ? this.formatDuration(((remaining / 100) * capacity * 60) / powerW) : "-";
+      }
+    }
+
+    var energy;
+    if (this.dataNotificationDayEnergy) {
+      energy = (type) => {
+        var value = this.getMeterValue(type);
+        return value === undefined ? undefined : this.formatEnergy(value);
+      };
+    }
+
+    //state of charge of today as sparkline, 0 - 100 % over 0:00 - 24:00
+    var sparkline;
+    if (this.dataNotificationPowerCurve) {
+      var samples = this.dataNotificationPowerCurve.powerCurve.samples.filter((sample) => sample.soc !== null);
+      if (samples.length >= 2) {
+        var y = (soc) => (30 - (soc / 100) * 30).toFixed(1);
+        sparkline = {
+          soc: samples.map((sample) => ((sample.minute / 1440) * 120).toFixed(1) + "," + y(sample.soc)).join(" "),
+          reserveY: this.config.batteryReserve > 0 ? y(this.config.batteryReserve) : undefined
+        };
+      }
+    }
+
+    return {
+      state: { Charging: "CHARGING", Discharging: "DISCHARGING" }[storage.status] || "STAND_BY",
+      power: this.formatPower(storage.currentPower, powerFlow.unit),
+      chargeLevel: this.formatPercent(storage.chargeLevel),
+      estimate,
+      charged: energy && energy("BatteryCharge"),
+      discharged: energy && energy("BatteryDischarge"),
+      temperature: storage.temperature === null || storage.temperature === undefined
+        ? undefined
+        : this.formatNumber(storage.temperature, 1) + " °C",
+      health: storage.health === null || storage.health === undefined ? undefined : this.formatPercent(storage.health),
+      sparkline
+    };
+  },
+
+  //minutes as "2 h 05 min", longer than a day only as "> 24 h"
+  formatDuration: function (minutes) {
+    if (minutes > 24 * 60) {
+      return "> 24 h";
+    }
+    var hours = Math.floor(Math.round(minutes) / 60);
+    var rest = Math.round(minutes) % 60;
+    return hours > 0 ? hours + " h " + String(rest).padStart(2, "0") + " min" : rest + " min";
+  },
+
+  //last update, stale datasets and the error of the helper since the last data
+  mapDataState: function () {
+    var now = Date.now();
+    var age = (notification) =>
+      this.lastUpdates[notification] === undefined ? 0 : now - this.lastUpdates[notification];
+    var live = this.lastUpdates["MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED"];
+    //at night the live data comes every nightUpdateInterval only
+    var night = this.dataNotificationSun && this.dataNotificationSun.sun.night;
+    var staleAfter = night ? Math.max(this.config.staleAfter, 2 * this.config.nightUpdateInterval) : this.config.staleAfter;
+    var state = {
+      lastUpdate: live
+        ? new Date(live).toLocaleTimeString(this.getLocale(), { hour: "2-digit", minute: "2-digit" })
+        : undefined,
+      stale: age("MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED") > staleAfter,
+      staleDaily:
+        age("MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED") >
+        Math.max(this.config.staleAfter, 2 * this.config.updateIntervalBasicData),
+      error: this.lastError
+        ? { kind: this.translate("ERROR_" + this.lastError.kind), message: this.lastError.message }
+        : undefined
+    };
+    this.dataStateSignature = JSON.stringify(state);
+    return state;
+  },
+
+  //redraw once the data turned stale or the time of the last update changed
+  checkDataState: function () {
+    var previous = this.dataStateSignature;
+    if (previous !== undefined && JSON.stringify(this.mapDataState()) !== previous) {
+      this.updateDom();
+    }
+  },
+
+  //remember when a dataset was fetched, on the clock of this browser (node_helper sends the age as updatedAt and sentAt of its own clock);
+  //newer data than the last error means it recovered
+  trackUpdate: function (notification, payload) {
+    var age = payload.updatedAt && payload.sentAt ? Math.max(payload.sentAt - payload.updatedAt, 0) : 0;
+    var time = Date.now() - age;
+    delete payload.updatedAt;
+    delete payload.sentAt;
+    this.lastUpdates[notification] = time;
+    if (this.lastError && time > this.lastError.time) {
+      this.lastError = undefined;
+      this.updateDom();
+    }
+  },
+
+  mapSun: function () {
+    if (!this.dataNotificationSun) {
+      return;
+    }
+    var sun = this.dataNotificationSun.sun;
+    var time = (value) =>
+      value ? new Date(value.replace(" ", "T")).toLocaleTimeString(this.getLocale(), { hour: "2-digit", minute: "2-digit" }) : undefined;
+    return {
+      night: sun.night,
+      sunrise: time(sun.sunrise),
+      sunset: time(sun.sunset)
+    };
+  },
+
+  mapPlantChoice: function () {
+    // several plants found and none configured => tell the user which plantIds exist
+    if (
+      this.dataNotificationPlantList &&
+      !this.dataNotificationPlantList.configured &&
+      this.dataNotificationPlantList.plants.length > 1
+    ) {
+      return this.dataNotificationPlantList.plants.map(
+        (plant) => plant.name + " (" + plant.id + ")"
+      );
+    }
+  },
+
+  mapPowerCurve: function () {
+    if (!this.config.showPowerCurve || !this.dataNotificationPowerCurve) {
+      return;
+    }
+    var samples = this.dataNotificationPowerCurve.powerCurve.samples;
+    if (samples.length < 2) {
+      return;
+    }
+    //expected production of the same day, from the last zero before sunrise to the first after sunset
+    var expected = [];
+    var forecast = this.config.showForecast && this.dataNotificationForecast && this.dataNotificationForecast.forecast;
+    if (forecast && forecast.date === this.dataNotificationPowerCurve.powerCurve.date) {
+      var first = forecast.samples.findIndex((sample) => sample.power > 0);
+      var last = forecast.samples.length - 1 - forecast.samples.slice().reverse().findIndex((sample) => sample.power > 0);
+      if (first !== -1) {
+        expected = forecast.samples.slice(Math.max(first - 1, 0), last + 2);
+      }
+    }
+
+    //svg coordinates: x = minute of the day, y = power between min and max
+    var width = 480;
+    var height = 120;
+    var max = 0;
+    var min = 0;
+    samples.forEach((sample) => {
+      max = Math.max(max, sample.pv, sample.load, sample.grid, sample.battery);
+      min = Math.min(min, sample.grid, sample.battery);
+    });
+    expected.forEach((sample) => (max = Math.max(max, sample.power)));
+    if (max === min) {
+      max = min + 1;
+    }
+    var x = (minute) => ((minute / 1440) * width).toFixed(1);
+    var y = (value) => (height - ((value - min) / (max - min)) * height).toFixed(1);
+    var line = (field) =>
+      samples.map((sample) => x(sample.minute) + "," + y(sample[field])).join(" ");
+
+    var firstSample = samples[0];
+    var lastSample = samples[samples.length - 1];
+    var socSamples = samples.filter((sample) => sample.soc !== null);
+
+    return {
+      width,
+      height,
+      pvArea:
+        x(firstSample.minute) + "," + y(0) + " " + line("pv") + " " + x(lastSample.minute) + "," + y(0),
+      expected: expected.length
+        ? expected.map((sample) => x(sample.minute) + "," + y(sample.power)).join(" ")
+        : undefined,
+      load: line("load"),
+      grid: line("grid"),
+      battery: socSamples.length ? line("battery") : undefined,
+      soc: socSamples.length
+        ? socSamples
+          .map((sample) => x(sample.minute) + "," + (height - (sample.soc / 100) * height).toFixed(1))
+          .join(" ")
+        : undefined,
+      zeroY: y(0),
+      hours: [0, 6, 12, 18, 24].map((hour) => ({
+        x: ((hour / 24) * width).toFixed(1),
+        label: hour + ":00"
+      })),
+      peak: this.formatPower(max)
+    };
+  },
+
+  mapForecast: function () {
+    if (!this.config.showForecast || !this.dataNotificationForecast) {
+      return;
+    }
+    var forecast = this.dataNotificationForecast.forecast;
+    var date = (value) => new Date(value + "T00:00:00").toLocaleDateString(this.getLocale(), { day: "2-digit", month: "2-digit" });
+    var deviation = (actual, expected) => this.formatPercent(((actual - expected) / expected) * 100, { signDisplay: "always" });
+    return {
+      expected: this.formatEnergy(forecast.expected),
+      expectedSoFar: this.formatEnergy(forecast.expectedSoFar),
+      actual: forecast.actual === null ? undefined : this.formatEnergy(forecast.actual),
+      ratio: forecast.actual === null || !forecast.expectedSoFar
+        ? undefined
+        : this.formatPercent((forecast.actual / forecast.expectedSoFar) * 100),
+      corrected: forecast.corrected,
+      underperforming: forecast.underperforming,
+      belowDays: forecast.belowDays.map((day) => ({
+        date: date(day.date),
+        deviation: deviation(day.production, day.expected),
+        plant: day.plant
+      }))
+    };
+  },
+
+  mapEnergyHistory: function () {
+    if (!this.config.showEnergyHistory || !this.dataNotificationEnergyHistory) {
+      return;
+    }
+    var history = this.dataNotificationEnergyHistory.energyHistory;
+    return {
+      month: this.mapEnergyBars(history.month.bars),
+      year: this.mapEnergyBars(history.year.bars)
+    };
+  },
+
+  //paired bars per period: production (with feed-in share) and consumption (with purchased share)
+  mapEnergyBars: function (bars) {
+    var width = 480;
+    var height = 100;
+    var max = 1;
+    bars.forEach((bar) => {
+      max = Math.max(max, bar.production, bar.consumption);
+    });
+    var slot = width / bars.length;
+    var barWidth = Math.max(1, slot * 0.4);
+    var y = (value) => (height - (value / max) * height).toFixed(1);
+    var h = (value) => ((Math.min(value, max) / max) * height).toFixed(1);
+    //label every month of the year, but only every 5th day of the month
+    var labelStep = bars.length > 12 ? 5 : 1;
+    var total = { production: 0, consumption: 0 };
+
+    return {
+      width,
+      height,
+      bars: bars.map((bar, index) => {
+        total.production += bar.production;
+        total.consumption += bar.consumption;
+        var x = slot * index + slot * 0.1;
+        return {
+          productionX: x.toFixed(1),
+          consumptionX: (x + barWidth).toFixed(1),
+          width: barWidth.toFixed(1),
+          production: { y: y(bar.production), height: h(bar.production) },
+          feedIn: { y: y(Math.min(bar.feedIn, bar.production)), height: h(Math.min(bar.feedIn, bar.production)) },
+          consumption: { y: y(bar.consumption), height: h(bar.consumption) },
+          purchased: { y: y(Math.min(bar.purchased, bar.consumption)), height: h(Math.min(bar.purchased, bar.consumption)) },
+          labelX: (slot * index + slot / 2).toFixed(1),
+          label: index === 0 || (index + 1) % labelStep === 0 ? bar.label : undefined
+        };
+      }),
+      peak: this.formatEnergy(max),
+      production: this.formatEnergy(total.production),
+      consumption: this.formatEnergy(total.consumption)
+    };
+  },
+
+  mapComparison: function () {
+    if (!this.config.showComparison || !this.dataNotificationHistory) {
+      return;
+    }
+    var history = this.dataNotificationHistory.history;
+    var delta = (field, reference) => {
+      if (!reference || !reference[field]) {
+        return;
+      }
+      var percent = ((history.today[field] - reference[field]) / reference[field]) * 100;
+      return {
+        text: this.formatPercent(percent, { signDisplay: "exceptZero" }),
+        trend: percent >= 0 ? "up" : "down"
+      };
+    };
+    var record = (entry) =>
+      entry && entry.value > 0
+        ? { value: this.formatEnergy(entry.value), date: entry.date, today: entry.date === history.date }
+        : undefined;
+    return {
+      yesterday: history.yesterday
+        ? { production: delta("production", history.yesterday), consumption: delta("consumption", history.yesterday) }
+        : undefined,
+      lastYear: history.lastYear
+        ? { production: delta("production", history.lastYear), consumption: delta("consumption", history.lastYear) }
+        : undefined,
+      bestProduction: record(history.records.production),
+      bestSelfConsumption: record(history.records.selfConsumption)
+    };
+  },
+
+  mapFinancial: function () {
+    if (!this.config.showFinancial || !this.dataNotificationFinancial) {
+      return;
+    }
+    var financial = this.dataNotificationFinancial.financial;
+    var periods = this.config.compactMode ? ["today", "month"] : ["today", "month", "year"];
+    var money = (value) => this.formatNumber(value, 2, { style: "currency", currency: financial.currency });
+    //partial: part of the energy of the period is not priced, the sums are at least this much
+    var row = (label, field) => ({
+      label: label,
+      values: periods.map((period) => (financial[period].partial ? "≥ " : "") + money(field(financial[period])))
+    });
+    return {
+      periods: periods.map((period) => ({ today: "TODAY", month: "THIS_MONTH", year: "THIS_YEAR" })[period]),
+      rows: [
+        row("SAVINGS", (period) => period.savings),
+        row("FEED_IN_REVENUE", (period) => period.revenue),
+        row("GRID_COST", (period) => period.cost)
+      ],
+      //what the plant earned: savings plus feed-in revenue
+      benefit: row("BENEFIT", (period) => period.savings + period.revenue)
+    };
+  },
+
   mapLifeTime: function () {
     if (this.dataNotificationOverview) {
       var lifeTime = this.dataNotificationOverview.overview;
       return {
-        today: this.getDecimalAdjustedValue(lifeTime.lastDayData.energy / 1000),
-        this_month: this.getDecimalAdjustedValue(lifeTime.lastMonthData.energy / 1000),
-        this_year: this.getDecimalAdjustedValue(lifeTime.lastYearData.energy / 1000)
+        today: this.formatEnergy(lifeTime.lastDayData.energy),
+        this_month: this.formatEnergy(lifeTime.lastMonthData.energy),
+        this_year: this.formatEnergy(lifeTime.lastYearData.energy),
+        lifetime: this.formatEnergy(lifeTime.lifeTimeData.energy)
+      };
+    }
+  },
+
+  getCo2Factor: function () {
+    if (this.config.co2Factor) {
+      return this.config.co2Factor;
+    }
+    var locale = String(this.getLocale()).split("-");
+    var country = (this.config.co2Country || locale[1] || this.languageCountries[locale[0]] || "").toUpperCase();
+    return this.co2Factors[country] || this.co2FactorDefault;
+  },
+
+  //g as kg or t
+  formatCo2: function (grams) {
+    if (grams >= 1000000) {
+      return this.formatNumber(grams / 1000000, 1) + " t";
+    }
+    return this.formatNumber(grams / 1000, 1) + " kg";
+  },
+
+  mapEnvironment: function () {
+    if (!this.config.showEnvironment || !this.dataNotificationOverview) {
+      return;
+    }
+    var overview = this.dataNotificationOverview.overview;
+    var factor = this.getCo2Factor();
+    var period = (label, energy) => {
+      //Wh * g/kWh
+      var co2 = (energy / 1000) * factor;
+      var trees = co2 / this.co2PerTree;
+      return {
+        label: label,
+        co2: this.formatCo2(co2),
+        trees: this.formatNumber(trees, trees < 10 ? 1 : 0)
       };
+    };
+    return {
+      periods: [
+        period("TODAY", overview.lastDayData.energy),
+        period("THIS_MONTH", overview.lastMonthData.energy),
+        period("THIS_YEAR", overview.lastYearData.energy)
+      ],
+      lifetime: period("LIFETIME", overview.lifeTimeData.energy)
+    };
+  },
+
+  //autarky: share of the consumption not bought from the grid, self consumption: share of the production used on site
+  getKpis: function (totals) {
+    var rate = (part, total) => (total > 0 ? Math.min(Math.max(part / total, 0), 1) * 100 : null);
+    return {
+      autarky: rate(totals.consumption - totals.purchased, totals.consumption),
+      selfConsumption: rate(totals.production - totals.feedIn, totals.production)
+    };
+  },
+
+  mapKpis: function () {
+    if (!this.config.showKpis) {
+      return;
+    }
+
+    //month and year from the bars of the energy history
+    var sumBars = (bars) => bars.reduce((totals, bar) => {
+      ["production", "consumption", "feedIn", "purchased"].forEach((field) => (totals[field] += bar[field] || 0));
+      return totals;
+    }, { production: 0, consumption: 0, feedIn: 0, purchased: 0 });
+    var history = this.dataNotificationEnergyHistory && this.dataNotificationEnergyHistory.energyHistory;
+    var month = history ? this.getKpis(sumBars(history.month.bars)) : {};
+    var year = history ? this.getKpis(sumBars(history.year.bars)) : {};
+
+    //live: the part of the load not supplied by the grid
+    var powerFlow = this.dataNotificationCurrentPower.siteCurrentPowerFlow;
+    var gridToLoad = (powerFlow.flows || [])
+      .filter((flow) => flow.from === "GRID" && flow.to === "LOAD")
+      .reduce((total, flow) => total + flow.power, 0);
+    var live = this.getKpis({
+      production: 0,
+      consumption: powerFlow.LOAD.currentPower,
+      feedIn: 0,
+      purchased: gridToLoad
+    });
+
+    var gauge = (kind, label, period, value, periods) => ({
+      kind: kind,
+      label: label,
+      period: period,
+      percent: value === null || value === undefined ? 0 : Math.round(value),
+      text: value === null || value === undefined ? "-" : this.formatPercent(value),
+      periods: (periods || [])
+        .filter((entry) => entry[1] !== null && entry[1] !== undefined)
+        .map((entry) => ({ label: entry[0], text: this.formatPercent(entry[1]) }))
+    });
+    var gauges = [gauge("autarky", "AUTARKY", "NOW", live.autarky)];
+    if (this.dataNotificationDayEnergy) {
+      var energy = (type) => this.getMeterValue(type) || 0;
+      var today = this.getKpis({
+        production: energy("Production"),
+        consumption: energy("Consumption"),
+        feedIn: energy("FeedIn"),
+        purchased: energy("Purchased")
+      });
+      gauges.push(
+        gauge("autarky", "AUTARKY", "TODAY", today.autarky, [["THIS_MONTH", month.autarky], ["THIS_YEAR", year.autarky]]),
+        gauge("self-consumption", "SELF_CONSUMPTION_RATE", "TODAY", today.selfConsumption, [["THIS_MONTH", month.selfConsumption], ["THIS_YEAR", year.selfConsumption]])
+      );
     }
+    return gauges;
+  },
+
+  //today's energy of a meter type (Wh), undefined if the plant does not report it (no grid meter, no storage)
+  getMeterValue: function (type) {
+    var meter = this.dataNotificationDayEnergy.energyDetails.meters.find((entry) => entry.type === type);
+    return meter && meter.values.length ? meter.values[0].value : undefined;
   },
 
   mapDayEnergy: function () {
     if (this.dataNotificationDayEnergy) {
-      var energyDetails = this.dataNotificationDayEnergy.energyDetails;
+      var energy = (type) => {
+        var value = this.getMeterValue(type);
+        return value === undefined ? "-" : this.formatEnergy(value);
+      };
       return {
-        production: this.getDecimalAdjustedValue(energyDetails.meters.find(e => e.type === 'Production').values[0].value / 1000),
-        consumption: this.getDecimalAdjustedValue(energyDetails.meters.find(e => e.type === 'Consumption').values[0].value / 1000),
-        feedIn: this.getDecimalAdjustedValue(energyDetails.meters.find(e => e.type === 'FeedIn').values[0].value / 1000),
-        purchased: this.getDecimalAdjustedValue(energyDetails.meters.find(e => e.type === 'Purchased').values[0].value / 1000),
-        selfConsumption: this.getDecimalAdjustedValue(energyDetails.meters.find(e => e.type === 'SelfConsumption').values[0].value / 1000),
+        production: energy("Production"),
+        consumption: energy("Consumption"),
+        feedIn: energy("FeedIn"),
+        purchased: energy("Purchased"),
+        selfConsumption: energy("SelfConsumption")
       };
     }
   },
@@ -322,15 +980,90 @@ Module.register("MMM-SunGrow", {
     };
   },
 
+  //normalised data for other modules: plain W and Wh, grid > 0 is purchase, battery > 0 is charging
+  broadcast: function (notification) {
+    if (!this.config.broadcastData) {
+      return;
+    }
+    if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED") {
+      var powerFlow = this.dataNotificationCurrentPower.siteCurrentPowerFlow;
+      var factor = { kW: 1000, MW: 1000000 }[powerFlow.unit] || 1;
+      var sum = (filter) => Math.round((powerFlow.flows || []).filter(filter).reduce((total, flow) => total + flow.power * factor, 0));
+      var storage = powerFlow.STORAGE;
+      this.sendNotification("SUNGROW_POWER_FLOW", {
+        pv: Math.round(powerFlow.PV.currentPower * factor),
+        load: Math.round(powerFlow.LOAD.currentPower * factor),
+        grid: sum((flow) => flow.from === "GRID") - sum((flow) => flow.to === "GRID"),
+        battery: storage ? sum((flow) => flow.to === "STORAGE") - sum((flow) => flow.from === "STORAGE") : null,
+        soc: storage ? storage.chargeLevel : null,
+        surplus: sum((flow) => flow.from === "PV" && flow.to === "GRID")
+      });
+    } else if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED") {
+      var energy = (type) => this.getMeterValue(type) || 0;
+      this.sendNotification("SUNGROW_DAY_ENERGY", {
+        production: energy("Production"),
+        consumption: energy("Consumption"),
+        feedIn: energy("FeedIn"),
+        purchased: energy("Purchased"),
+        selfConsumption: energy("SelfConsumption")
+      });
+    } else if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_RECEIVED") {
+      this.sendNotification("SUNGROW_ALARMS", { alarms: this.dataNotificationAlarms.alarms });
+    }
+  },
+
+  //remote control by other modules, payload.identifier limits a command to one instance
+  notificationReceived: function (notification, payload) {
+    if (payload && payload.identifier && payload.identifier !== this.identifier) {
+      return;
+    }
+
+    if (notification === "SUNGROW_REFRESH") {
+      this.sendSocketNotification("SUN_GROW_REFRESH", { identifier: this.identifier, screen: this.screen });
+    } else if (notification === "SUNGROW_PAUSE") {
+      this.sendSocketNotification("SUN_GROW_PAUSE", { identifier: this.identifier, screen: this.screen });
+    } else if (notification === "SUNGROW_RESUME") {
+      this.sendSocketNotification("SUN_GROW_RESUME", { identifier: this.identifier, screen: this.screen });
+    } else if (notification === "SUNGROW_SWITCH_VIEW") {
+      //"compact" or "full", without a view toggle between them
+      var view = payload && payload.view;
+      this.config.compactMode = view ? view === "compact" : !this.config.compactMode;
+      this.updateDom();
+    }
+  },
+
+  // Keep the new payload and redraw, but only if the data actually changed
+  updateData: function (key, payload) {
+    if (JSON.stringify(this[key]) === JSON.stringify(payload)) {
+      return;
+    }
+    this[key] = payload;
+    this.updateDom();
+  },
+
   // socketNotificationReceived from helper
   socketNotificationReceived: function (notification, payload) {
+    // the helper serves all instances, only take what is meant for us
+    if (!payload || !payload.targets || !payload.targets.includes(this.identifier)) {
+      return;
+    }
+
+    if (notification === "SUN_GROW_ERROR") {
+      this.lastError = { kind: payload.kind || "OTHER", message: payload.message, time: Date.now() };
+      this.updateDom();
+      return;
+    }
+    if (notification.endsWith("_DATA_RECEIVED")) {
+      this.trackUpdate(notification, payload);
+    }
+
     if (
       notification ===
       "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED"
     ) {
       // set dataNotification
-      this.dataNotificationCurrentPower = payload;
-      this.updateDom();
+      this.updateData("dataNotificationCurrentPower", payload);
+      this.broadcast(notification);
     }
 
     if (
@@ -338,8 +1071,7 @@ Module.register("MMM-SunGrow", {
       "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_RECEIVED"
     ) {
       // set dataNotification
-      this.dataNotificationDetails = payload;
-      this.updateDom();
+      this.updateData("dataNotificationDetails", payload);
     }
 
     if (
@@ -347,8 +1079,7 @@ Module.register("MMM-SunGrow", {
       "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_RECEIVED"
     ) {
       // set dataNotification
-      this.dataNotificationOverview = payload;
-      this.updateDom();
+      this.updateData("dataNotificationOverview", payload);
     }
 
     if (
@@ -356,8 +1087,90 @@ Module.register("MMM-SunGrow", {
       "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED"
     ) {
       // set dataNotification
-      this.dataNotificationDayEnergy = payload;
-      this.updateDom();
+      this.updateData("dataNotificationDayEnergy", payload);
+      this.broadcast(notification);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_POWER_CURVE_DATA_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationPowerCurve", payload);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_SUN_DATA_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationSun", payload);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_FORECAST_DATA_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationForecast", payload);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationEnergyHistory", payload);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_HISTORY_DATA_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationHistory", payload);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_FINANCIAL_DATA_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationFinancial", payload);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_CUSTOM_POINTS_DATA_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationCustomPoints", payload);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_INVERTER_DATA_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationInverter", payload);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_RECEIVED"
+    ) {
+      this.alertAlarms(payload.alarms);
+      // set dataNotification
+      this.updateData("dataNotificationAlarms", payload);
+      this.broadcast(notification);
+    }
+
+    if (
+      notification ===
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_PLANT_LIST_RECEIVED"
+    ) {
+      // set dataNotification
+      this.updateData("dataNotificationPlantList", payload);
     }
   }
 });
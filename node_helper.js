@@ -2,496 +2,3813 @@
  * MagicMirror Module: MMM-SunGrow
  *
  * Features:
- * - Single login & token reuse
+ * - Single login & token reuse per account, transparent re-login when the
+ *   token expires and back-off on failed or locked logins
  * - Handling of four data requests:
  *    1) DETAILS_DATA
  *    2) CURRENTPOWER_DATA (storage/battery)
- *    3) OVERVIEW_DATA (placeholder)
- *    4) DAY_ENERGY_DATA (placeholder)
+ *    3) OVERVIEW_DATA (day, month, year and lifetime energy)
+ *    4) DAY_ENERGY_DATA
+ *    5) POWER_CURVE_DATA (today's PV, load, grid, battery and SOC curve)
+ *    6) ENERGY_HISTORY_DATA (daily bars of the month, monthly bars of the year)
+ *    7) CUSTOM_POINTS_DATA (config.customPoints, read with the live data)
+ *    8) INVERTER_DATA (MPPT/string values, temperature and state per inverter)
+ *    9) ALARMS_DATA (active faults and alarms of the plant)
+ * - Central scheduler: one polling loop per plant, shared by all connected
+ *   front-ends, with a request budget, 429/Retry-After back-off and jitter
+ * - Multiple plants and module instances; every *_DATA_RECEIVED payload carries
+ *   the identifiers of the instances it is meant for (payload.targets)
+ * - Optional aggregated view summing several plants (config.plants)
+ * - Plant and device discovery after login: plantId, plantSN, ps_keys and
+ *   device types are resolved from the account if not configured
+ * - Local history store (history/): daily totals and power snapshots per plant,
+ *   used for comparisons, records and as fallback for the energy history
+ * - Extra measuring points (config.customPoints, see pointCatalogue) shown as tiles
+ * - Pluggable data sources for the live and daily data (config.dataSource):
+ *   iSolarCloud or the inverter's Modbus TCP interface in the LAN
+ * - Optional MQTT output with Home Assistant discovery (config.mqtt)
+ * - Offline mock mode (config.mockData) with scenario playback
  */
 
 const NodeHelper = require("node_helper");
 const fetch = require("node-fetch");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
 
 module.exports = NodeHelper.create({
 
   // Variables we'll use:
   start: function () {
     console.log("[MMM-SunGrow] node_helper started...");
-    this.config = null;
-    this.token = null;           // We'll store the iSolarCloud token here
-    this.loginInProgress = false; // Prevent multiple logins at once
+    // Module instances by identifier: { id, plantKeys }
+    this.instances = {};
+    // Plants by key, see getPlant(): config, session, polling timers,
+    // latest payloads (replayed to new front-ends) and raw measuring points
+    this.plants = {};
+    // Login sessions by account, see getSession(): token, auth state, rate limit
+    this.sessions = {};
+    // MQTT broker connections by url and topic prefix, see getMqttConnection()
+    this.mqttConnections = {};
+  },
+
+  // result_code / result_msg values iSolarCloud answers with (HTTP 200) when the token is no longer valid
+  tokenExpiredCodes: ["E00003", "E00004", "E912"],
+  tokenExpiredMessages: ["er_token_login_invalid", "er_token_expired", "er_token_invalid", "token is invalid"],
+
+  // login_state values of /openapi/login besides "1" (success)
+  loginStates: {
+    "0": "wrong password",
+    "-1": "account does not exist",
+    "2": "account locked after too many failed attempts"
+  },
+
+  loginBackoffBase: 30 * 1000,       // first retry after a failed login
+  loginBackoffMax: 30 * 60 * 1000,   // upper limit for the exponential back-off
+  loginLockedDelay: 60 * 60 * 1000,  // wait this long when the account is locked
+
+  rateLimitBackoffBase: 60 * 1000,         // pause after a 429 without Retry-After header
+  rateLimitBackoffMax: 60 * 60 * 1000,     // upper limit for repeated 429 pauses
+  detailsInterval: 24 * 60 * 60 * 1000,    // plant details hardly ever change
+  countersResetWindow: 2 * 60 * 60 * 1000, // daily counters may be yesterday's this long after midnight
+
+  // Instances showing the same plant share its polling, see mergeConfigs():
+  // a task runs if any instance shows it, at the shortest interval asked for
+  shownOptions: ["showDayEnergy", "showOverview", "showPowerCurve", "showForecast", "showEnergyHistory", "showInverter", "showAlarms", "debug"],
+  intervalOptions: ["updateInterval", "updateIntervalBasicData", "inverterUpdateInterval", "nightUpdateInterval"],
+  // the data is computed once per plant, so the first instance's options win
+  sharedOptions: ["tariff", "customPoints", "forecast", "powerCurveInterval", "alarmMinSeverity", "weakStringThreshold", "historyStore", "mqtt"],
+
+  // iSolarCloud device types we look for in the device list
+  deviceTypes: {
+    inverter: "1",
+    meter: "7",
+    plant: "11",
+    storage: "14",
+    communication: "22"
+  },
+
+  // Plant level (device_type 11) measuring points, used when the plant has no
+  // energy storage system. normalizePlantPoints() maps them to the energy
+  // storage point ids the transformations read.
+  plantPoints: {
+    currentPower: [
+      "83033", // plant power (PV)
+      "83106", // load power
+      "83549"  // grid active power, positive = feed-in
+    ],
+    dayEnergy: [
+      "83022", // daily yield of plant
+      "83118", // daily load consumption
+      "83072", // daily feed-in
+      "83102"  // daily purchased
+    ]
+  },
+
+  // MPPT voltage/current points per device type: inverters (1) and hybrid
+  // inverters that only show up as energy storage system (14)
+  inverterPoints: {
+    "1": {
+      temperature: "4",
+      mppts: [["5", "6"], ["7", "8"], ["45", "46"], ["47", "48"]]
+    },
+    "14": {
+      temperature: "13019",
+      mppts: [["13001", "13002"], ["13105", "13106"]]
+    }
+  },
+
+  // Where the live (currentPower) and daily (dayEnergy) measuring points come
+  // from, see readPoints(). The other tasks always use iSolarCloud; with a
+  // local data source they only run if cloud credentials are configured.
+  dataSources: {
+    cloud: { read: "readCloudPoints", local: false },
+    modbus: { read: "readModbusPoints", local: true }
+  },
+
+  // config.tariff defaults, prices per kWh
+  tariffDefaults: {
+    currency: "EUR",
+    purchase: 0.3,
+    feedIn: 0.08,
+    timeOfUse: [],
+    priceFile: null
+  },
+
+  // Elevation of the sun at sunrise and sunset: upper limb on the horizon, with refraction
+  sunHorizon: -0.833,
+
+  // config.forecast defaults; latitude, longitude and peakPower (kWp) come
+  // from the plant details unless set
+  forecastDefaults: {
+    latitude: null,
+    longitude: null,
+    peakPower: null,
+    tilt: 30,           // ° from horizontal
+    azimuth: 180,       // ° from north, 180 = south
+    losses: 14,         // % for inverter, cables, soiling and temperature
+    threshold: 20,      // % below the model that counts as underperforming
+    cloudCover: null    // file or URL with the cloud cover, see readCloudCover()
+  },
+
+  // config.modbus defaults
+  modbusDefaults: {
+    host: "",
+    port: 502,
+    unitId: 1,
+    timeout: 5000
+  },
+
+  // config.mqtt defaults
+  mqttDefaults: {
+    url: "mqtt://localhost:1883",
+    topicPrefix: "sungrow",
+    discoveryPrefix: "homeassistant"
+  },
+
+  // Payloads published via MQTT, see publishMqtt()
+  mqttNotifications: [
+    "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED",
+    "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED",
+    "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_RECEIVED"
+  ],
+
+  // Values of the MQTT state and their Home Assistant discovery
+  mqttSensors: [
+    { key: "pv",              name: "PV power",               unit: "W",  deviceClass: "power",   stateClass: "measurement" },
+    { key: "load",            name: "Load power",             unit: "W",  deviceClass: "power",   stateClass: "measurement" },
+    { key: "grid",            name: "Grid power",             unit: "W",  deviceClass: "power",   stateClass: "measurement" },
+    { key: "battery",         name: "Battery power",          unit: "W",  deviceClass: "power",   stateClass: "measurement" },
+    { key: "soc",             name: "Battery level",          unit: "%",  deviceClass: "battery", stateClass: "measurement" },
+    { key: "production",      name: "Production today",       unit: "Wh", deviceClass: "energy",  stateClass: "total_increasing" },
+    { key: "consumption",     name: "Consumption today",      unit: "Wh", deviceClass: "energy",  stateClass: "total_increasing" },
+    { key: "feedIn",          name: "Feed-in today",          unit: "Wh", deviceClass: "energy",  stateClass: "total_increasing" },
+    { key: "purchased",       name: "Purchased today",        unit: "Wh", deviceClass: "energy",  stateClass: "total_increasing" },
+    { key: "selfConsumption", name: "Self consumption today", unit: "Wh", deviceClass: "energy",  stateClass: "total_increasing" },
+    { key: "batteryCharge",   name: "Battery charged today",  unit: "Wh", deviceClass: "energy",  stateClass: "total_increasing" },
+    { key: "batteryDischarge", name: "Battery discharged today", unit: "Wh", deviceClass: "energy", stateClass: "total_increasing" },
+    { key: "alarms",          name: "Alarm",                  deviceClass: "problem" }
+  ],
+
+  // iSolarCloud fault levels (fault_level), most severe first
+  alarmSeverities: {
+    "1": "critical",
+    "2": "major",
+    "3": "minor",
+    "4": "warning"
+  },
+
+  // Kind of a SUN_GROW_ERROR by its message, the first match wins (else "OTHER")
+  errorKinds: [
+    { kind: "RATE_LIMIT", pattern: /rate limited|status: 429|request budget/i },
+    { kind: "LOGIN",      pattern: /login|token|user\/password|appKey/i },
+    { kind: "OFFLINE",    pattern: /offline/i },
+    { kind: "CONNECTION", pattern: /modbus|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|network|socket hang up|fetch failed/i }
+  ],
+
+  // Common measuring points for config.customPoints, by name. label is a
+  // translation key, scale turns the raw value into unit, mock is the value
+  // shown in mock mode.
+  pointCatalogue: {
+    inverterTemperature: { point: "4",     deviceType: "1",  unit: "°C", scale: 1,   decimals: 1, label: "INVERTER_TEMPERATURE", mock: 41.5 },
+    gridFrequency:       { point: "27",    deviceType: "1",  unit: "Hz", scale: 1,   decimals: 2, label: "GRID_FREQUENCY",       mock: 50.01 },
+    phaseAVoltage:       { point: "18",    deviceType: "1",  unit: "V",  scale: 1,   decimals: 1, label: "PHASE_A_VOLTAGE",      mock: 231.2 },
+    phaseBVoltage:       { point: "19",    deviceType: "1",  unit: "V",  scale: 1,   decimals: 1, label: "PHASE_B_VOLTAGE",      mock: 229.8 },
+    phaseCVoltage:       { point: "20",    deviceType: "1",  unit: "V",  scale: 1,   decimals: 1, label: "PHASE_C_VOLTAGE",      mock: 230.5 },
+    batteryTemperature:  { point: "13143", deviceType: "14", unit: "°C", scale: 1,   decimals: 1, label: "BATTERY_TEMPERATURE",  mock: 24.3 },
+    batteryHealth:       { point: "13142", deviceType: "14", unit: "%",  scale: 100, decimals: 0, label: "BATTERY_HEALTH",       mock: 0.98 },
+    batteryVoltage:      { point: "13138", deviceType: "14", unit: "V",  scale: 1,   decimals: 1, label: "BATTERY_VOLTAGE",      mock: 204.6 },
+    batteryCurrent:      { point: "13139", deviceType: "14", unit: "A",  scale: 1,   decimals: 1, label: "BATTERY_CURRENT",      mock: 3.2 },
+    storageTemperature:  { point: "13019", deviceType: "14", unit: "°C", scale: 1,   decimals: 1, label: "STORAGE_TEMPERATURE",  mock: 36.8 },
+    storageGridFrequency: { point: "13007", deviceType: "14", unit: "Hz", scale: 1,  decimals: 2, label: "GRID_FREQUENCY",       mock: 49.98 }
   },
 
   /**
    * MagicMirror will call socketNotificationReceived() whenever
    * the front-end sends a notification. We'll handle:
-   * - "SUN_GROW_CONFIG" (initial config)
+   * - "SUN_GROW_CONFIG" (initial config, subscribes the instance to its plants)
+   *     payload: { identifier, screen, config }
+   * - "SUN_GROW_REFRESH" (runs every task of the instance's plants right away)
+   * - "SUN_GROW_PAUSE" / "SUN_GROW_RESUME" (stops / restarts polling for one screen)
+   *     payload: { identifier, screen }
    * - "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_REQUESTED"
    * - "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_REQUESTED"
    * - "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_REQUESTED"
    * - "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_REQUESTED"
+   *     payload: { identifier }
+   * The *_REQUESTED notifications are optional: polling is done by the
+   * scheduler, they only trigger an immediate extra fetch.
    */
   socketNotificationReceived: async function (notification, payload) {
     if (notification === "SUN_GROW_CONFIG") {
-      // Save the config
-      this.config = payload;
       // DEBUG
-      // console.log("[MMM-SunGrow] Received config:", this.config);
-      console.log("[MMM-SunGrow] Received config successfully");
+      // console.log("[MMM-SunGrow] Received config:", payload.config);
+      console.log(`[MMM-SunGrow] Received config successfully from ${payload.identifier}`);
+      this.subscribe(payload.identifier, payload.config, payload.screen);
       return;
     }
 
-    // Then check which data request we got:
-    switch (notification) {
+    const instance = payload && this.instances[payload.identifier];
+    if (!instance) {
+      return;
+    }
 
-      case "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_REQUESTED":
-        // Ensure we have a valid token, then fetch details
-        await this.ensureLogin();
-        this.fetchDetailsData();
-        break;
+    // Every browser showing the instance is a screen of its own
+    if (notification === "SUN_GROW_PAUSE") {
+      console.log(`[MMM-SunGrow] Polling paused by ${instance.id} on screen ${payload.screen}`);
+      instance.screens.set(payload.screen, true);
+      return;
+    }
+    if (notification === "SUN_GROW_RESUME" || notification === "SUN_GROW_REFRESH") {
+      if (notification === "SUN_GROW_RESUME") {
+        console.log(`[MMM-SunGrow] Polling resumed by ${instance.id} on screen ${payload.screen}`);
+        instance.screens.set(payload.screen, false);
+      }
+      // The data may be old after a pause: fetch everything once
+      for (const key of instance.plantKeys) {
+        const plant = this.plants[key];
+        for (const task of this.getTasks(plant).filter((entry) => entry.enabled)) {
+          await this.runTask(plant, task);
+        }
+      }
+      return;
+    }
 
-      case "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_REQUESTED":
-        // e.g. battery/storage data
-        await this.ensureLogin();
-        this.fetchCurrentPowerData();
-        break;
+    for (const key of instance.plantKeys) {
+      const plant = this.plants[key];
+      const task = this.getTasks(plant).find((entry) => entry.notification === notification);
+      if (task) {
+        await this.runTask(plant, task);
+      }
+    }
+  },
 
-      case "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_REQUESTED":
-        await this.ensureLogin();
-        this.fetchOverviewData();
-        break;
+  /**
+   * subscribe(identifier, config):
+   * Registers a module instance and the plants it shows. Each entry of
+   * config.plants overrides the top level config (plantId, plantSN, credentials, ...);
+   * without config.plants the instance shows the plant of the top level config.
+   * With more than one plant the instance gets the aggregated view. A config
+   * sent again (reload, changed plants) replaces the instance's plants; plants
+   * nobody shows any more stop polling. screen identifies the browser, the
+   * instance remembers which of its screens paused polling. The instance's
+   * own config of each plant is kept for mergeConfigs().
+   */
+  subscribe: function (identifier, config, screen) {
+    const entries = config.plants && config.plants.length ? config.plants : [{}];
+    const configs = {};
+    const plantKeys = entries.map((entry) => {
+      const plantConfig = Object.assign({}, config, entry);
+      delete plantConfig.plants;
+      const key = this.getPlant(plantConfig).key;
+      configs[key] = plantConfig;
+      return key;
+    });
+    const screens = this.instances[identifier] ? this.instances[identifier].screens : new Map();
+    screens.set(screen, false);
+    this.unsubscribe(identifier, plantKeys);
 
-      case "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_REQUESTED":
-        await this.ensureLogin();
-        this.fetchDayEnergyData();
-        break;
+    this.instances[identifier] = { id: identifier, plantKeys, configs, screens };
+    if (plantKeys.length > 1) {
+      console.log(`[MMM-SunGrow] ${identifier} shows the sum of ${plantKeys.length} plants`);
     }
+
+    plantKeys.forEach((key) => {
+      const plant = this.plants[key];
+      plant.subscribers.add(identifier);
+      this.mergeConfigs(plant);
+      this.startScheduler(plant);
+    });
+
+    // Replay what we already have, so a reloaded browser does not wait for the next poll
+    const notifications = new Set();
+    plantKeys.forEach((key) => Object.keys(this.plants[key].lastPayloads).forEach((notification) => notifications.add(notification)));
+    notifications.forEach((notification) => this.sendView(this.instances[identifier], notification));
   },
 
   /**
-   * ensureLogin():
-   * If we have no token, we attempt a login; if a login is already in progress,
-   * we wait until it's finished. This avoids multiple logins at the same time.
+   * unsubscribe(identifier, keep):
+   * Removes the instance from the plants it showed, except those in keep, and
+   * stops the scheduler of plants without subscribers.
    */
-  ensureLogin: async function () {
-    // If we already have a valid token, do nothing:
-    if (this.token) {
+  unsubscribe: function (identifier, keep = []) {
+    const instance = this.instances[identifier];
+    if (!instance) {
       return;
     }
 
-    // If a login is already in progress, wait until it completes
-    if (this.loginInProgress) {
-      console.log("[MMM-SunGrow] Waiting for ongoing login to finish...");
-      while (this.loginInProgress) {
-        // Sleep 500ms, then check again
-        await new Promise((r) => setTimeout(r, 500));
+    instance.plantKeys.filter((key) => !keep.includes(key)).forEach((key) => {
+      const plant = this.plants[key];
+      plant.subscribers.delete(identifier);
+      if (plant.subscribers.size === 0) {
+        console.log(`[MMM-SunGrow] No instance shows ${plant.key} any more`);
+        this.stopScheduler(plant);
+      } else {
+        this.mergeConfigs(plant);
       }
-      return;
-    }
-
-    // Otherwise, do a fresh login
-    this.loginInProgress = true;
-    try {
-      await this.loginToISolarCloud();
-    } finally {
-      this.loginInProgress = false;
-    }
+    });
+    delete this.instances[identifier];
   },
 
   /**
-   * loginToISolarCloud():
-   * Logs in to iSolarCloud using the config’s user/password, appKey, secretKey, etc.
-   * We'll store the token in this.token once done.
+   * mergeConfigs(plant):
+   * Builds plant.config from the configs of all instances showing the plant:
+   * a show* option is on if any instance has it on, each interval is the
+   * shortest asked for, night mode only applies if every instance wants it.
+   * The sharedOptions cannot differ per instance, a conflict is logged.
+   * A running scheduler is restarted if the tasks or intervals changed.
    */
-  loginToISolarCloud: async function () {
-    try {
-      if (!this.config) {
-        throw new Error("No config found. Did you send SUN_GROW_CONFIG?");
-      }
-      if (!this.config.userName || !this.config.userPassword) {
-        throw new Error("No user/password provided in config for iSolarCloud login.");
-      }
-      if (!this.config.portalUrl) {
-        throw new Error("No portalUrl specified in config.");
-      }
-
-      const loginUrl = `${this.config.portalUrl}/openapi/login`;
-      const body = {
-        appkey: this.config.appKey || "",
-        user_account: this.config.userName,
-        user_password: this.config.userPassword,
-        lang: "_en_US",
-        sys_code: "207", // or "901" depending on your environment
-        token: ""
-      };
-
-      const res = await fetch(loginUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-access-key": this.config.secretKey || ""
-        },
-        body: JSON.stringify(body)
-      });
+  mergeConfigs: function (plant) {
+    const configs = Array.from(plant.subscribers).map((identifier) => this.instances[identifier].configs[plant.key]);
+    const tasksBefore = JSON.stringify(this.getTaskPlan(plant));
 
-      if (!res.ok) {
-        throw new Error(`Login HTTP error! status: ${res.status}`);
+    const config = Object.assign({}, configs[0]);
+    this.shownOptions.forEach((name) => {
+      config[name] = configs.some((entry) => entry[name]);
+    });
+    this.intervalOptions.forEach((name) => {
+      const intervals = configs.map((entry) => entry[name]).filter((interval) => interval > 0);
+      if (intervals.length) {
+        config[name] = Math.min(...intervals);
       }
+    });
+    config.nightMode = configs.every((entry) => entry.nightMode);
+    plant.config = config;
 
-      const loginData = await res.json();
-      if (loginData.result_code !== "1") {
-        throw new Error(`Login error: ${loginData.result_msg || "Unknown error"}`);
+    this.sharedOptions.forEach((name) => {
+      const conflict = configs.find((entry) => JSON.stringify(entry[name]) !== JSON.stringify(config[name]));
+      if (conflict) {
+        console.warn(`[MMM-SunGrow] Instances showing ${plant.key} have a different "${name}", only the first one is used`);
       }
+    });
 
-      this.token = loginData.result_data.token;
-      //DEGBUG
-      //console.log("[MMM-SunGrow] /openapi/login success, token:", this.token);
-      console.log("[MMM-SunGrow] /openapi/login success");
-
-    } catch (error) {
-      console.error("[MMM-SunGrow] Error in loginToISolarCloud:", error);
-      // We do NOT nullify this.token here, because it might not have been set yet
-      this.sendSocketNotification("SUN_GROW_ERROR", { message: error.message });
+    if (plant.timers && JSON.stringify(this.getTaskPlan(plant)) !== tasksBefore) {
+      console.log(`[MMM-SunGrow] Tasks of ${plant.key} changed, restarting its scheduler`);
+      this.stopScheduler(plant);
+      this.startScheduler(plant);
     }
   },
 
   /**
-   * fetchDetailsData():
-   * Calls /openapi/getPowerStationDetail for "details" data
-   * and transforms to the old "details" structure:
-   *   { details: { location: { address }, peakPower } }
+   * getTaskPlan(plant):
+   * The names and intervals of the plant's enabled tasks, to tell whether
+   * a new config changes the polling.
    */
-  fetchDetailsData: async function () {
-    if (!this.token) {
-      console.warn("[MMM-SunGrow] No token, cannot fetch details data!");
-      this.sendSocketNotification("SUN_GROW_ERROR", { message: "No token available." });
-      return;
-    }
+  getTaskPlan: function (plant) {
+    return this.getTasks(plant)
+      .filter((task) => task.enabled)
+      .map((task) => [task.name, task.interval, task.nightInterval]);
+  },
 
-    if (!this.config.plantSN) {
-      console.warn("[MMM-SunGrow] No plantSN in config!");
-      this.sendSocketNotification("SUN_GROW_ERROR", { message: "No sn in config." });
-      return;
+  /**
+   * getPlant(config):
+   * Returns the plant context for config, creating it on first use. Instances
+   * showing the same plant share it (and with it the polling and the data).
+   */
+  getPlant: function (config) {
+    let key = config.mockData
+      ? `mock|${config.plantId}|${config.mockScenario || "static"}`
+      : `${config.portalUrl}|${config.plantId || `auto:${config.userName}`}`;
+    if (!config.mockData && config.dataSource === "modbus") {
+      const modbus = Object.assign({}, this.modbusDefaults, config.modbus);
+      key = `modbus|${modbus.host}:${modbus.port}|${modbus.unitId}`;
     }
 
-    try {
-      const url = `${this.config.portalUrl}/openapi/getPowerStationDetail`;
-      const body = {
-        appkey: this.config.appKey || "",
-        is_get_ps_remarks: "1",
-        lang: "_en_US",
-        sn: this.config.plantSN,
-        sys_code: "207",
-        token: this.token
+    if (!this.plants[key]) {
+      this.plants[key] = {
+        key,
+        config,
+        session: this.getSession(config),
+        subscribers: new Set(),
+        timers: null,
+        lastPayloads: {},
+        updatedAt: {},           // When each payload of lastPayloads was fetched (ms)
+        points: {},
+        curve: null,             // Today's power curve, see addCurveSample()
+        history: null,           // Persisted daily totals and snapshots, see getHistory()
+        customPoints: null,      // Resolved config.customPoints, see getCustomPoints()
+        customPointsReadAt: 0,   // Last cloud read of the custom points with a local data source
+        discovery: null,         // Resolved plant and devices, see ensureDiscovery()
+        discoveryPromise: null,
+        modbus: null,            // Modbus TCP connection, see getModbusConnection()
+        prices: null,            // Loaded config.tariff.priceFile, see getPriceFileEntry()
+        cloudCoverFailed: false, // Last read of config.forecast.cloudCover failed, see readCloudCover()
+        night: false,            // Sun below the horizon at the plant, see sendSunData()
+        nightModeWarned: false,  // Logged that night mode has no location, see sendSunData()
+        alertedAlarms: new Set(), // Ids of the active alarms already sent once, see sendData()
+        pricedDay: false,        // Day totals priced since the start, see recordMoney()
+        mockState: null
       };
+    }
+    return this.plants[key];
+  },
 
-      const res = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-access-key": this.config.secretKey || ""
-        },
-        body: JSON.stringify(body)
-      });
+  /**
+   * getSession(config):
+   * Returns the login session of the config's iSolarCloud account, creating
+   * it on first use. Plants of the same account share the token and the rate limit.
+   */
+  getSession: function (config) {
+    const key = config.mockData ? "mock" : `${config.portalUrl}|${config.appKey}|${config.userName}`;
 
-      if (!res.ok) {
-        if (res.status === 401) {
-          console.warn("[MMM-SunGrow] Token might have expired. Re-login needed.");
-          this.token = null;
-          return;
-        }
-        throw new Error(`HTTP error! status: ${res.status}`);
-      }
+    if (!this.sessions[key]) {
+      this.sessions[key] = {
+        key,
+        token: null,           // We'll store the iSolarCloud token here
+        loginPromise: null,    // Pending login, shared by all requests waiting for it
+        // Auth state machine: "loggedOut" -> "loggingIn" -> "loggedIn"
+        // A failed login moves to "backoff", a locked account to "locked";
+        // no login is attempted before retryAt.
+        auth: { state: "loggedOut", failures: 0, retryAt: 0, reason: null },
+        // Rate limiting: timestamps of the API calls in the last hour, pause after HTTP 429
+        rateLimit: { requests: [], pausedUntil: 0, strikes: 0 }
+      };
+    }
+    return this.sessions[key];
+  },
 
-      const json = await res.json();
-      if (json.result_code !== "1") {
-        throw new Error(`getPowerStationDetail error: ${json.result_msg}`);
+  /**
+   * getTasks(plant):
+   * The polling tasks for the plant's config, each with its own interval.
+   * Tasks served by a local data source are marked local; without cloud
+   * credentials the tasks needing iSolarCloud are disabled.
+   */
+  getTasks: function (plant) {
+    const dataSource = this.getDataSource(plant);
+    const tasks = [
+      {
+        name: "currentPower",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_REQUESTED",
+        interval: plant.config.updateInterval,
+        // battery and grid still change at night, but slower
+        nightInterval: Math.max(plant.config.updateInterval, plant.config.nightUpdateInterval || 0),
+        enabled: true,
+        run: () => this.fetchCurrentPowerData(plant)
+      },
+      {
+        name: "details",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_REQUESTED",
+        interval: this.detailsInterval,
+        enabled: true,
+        run: () => this.fetchDetailsData(plant)
+      },
+      {
+        name: "dayEnergy",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_REQUESTED",
+        interval: plant.config.updateIntervalBasicData,
+        enabled: plant.config.showDayEnergy,
+        run: () => this.fetchDayEnergyData(plant)
+      },
+      {
+        name: "overview",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_REQUESTED",
+        interval: plant.config.updateIntervalBasicData,
+        enabled: plant.config.showOverview,
+        run: () => this.fetchOverviewData(plant)
+      },
+      {
+        name: "powerCurve",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_POWER_CURVE_DATA_REQUESTED",
+        interval: plant.config.updateIntervalBasicData,
+        enabled: plant.config.showPowerCurve,
+        run: () => this.fetchPowerCurveData(plant)
+      },
+      {
+        name: "forecast",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_FORECAST_DATA_REQUESTED",
+        interval: plant.config.updateIntervalBasicData,
+        enabled: plant.config.showForecast,
+        // computed from the plant details, no API request of its own
+        local: true,
+        run: () => this.fetchForecastData(plant)
+      },
+      {
+        name: "energyHistory",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_REQUESTED",
+        interval: plant.config.updateIntervalBasicData,
+        enabled: plant.config.showEnergyHistory,
+        run: () => this.fetchEnergyHistoryData(plant)
+      },
+      {
+        name: "inverter",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_INVERTER_DATA_REQUESTED",
+        interval: plant.config.inverterUpdateInterval,
+        enabled: plant.config.showInverter,
+        // the MPPTs have nothing to report at night
+        daylightOnly: true,
+        run: () => this.fetchInverterData(plant)
+      },
+      {
+        name: "alarms",
+        notification: "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_REQUESTED",
+        interval: plant.config.updateIntervalBasicData,
+        enabled: plant.config.showAlarms,
+        run: () => this.fetchAlarmsData(plant)
       }
+    ];
 
-      // E.g. { design_capacity, ps_location, ... }
-      const rd = json.result_data || {};
-      const transformed = {
-        details: {
-          location: {
-            address: rd.ps_location || "No address"
-          },
-          peakPower: (rd.design_capacity || 0) / 1000
-        }
-      };
+    return tasks.map((task) => {
+      task.local = task.local || (dataSource.local && ["currentPower", "dayEnergy"].includes(task.name));
+      task.enabled = task.enabled && (task.local || !dataSource.local || this.hasCloudAccount(plant));
+      return task;
+    });
+  },
 
-      this.sendSocketNotification(
-        "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_RECEIVED",
-        transformed
-      );
+  /**
+   * getDataSource(plant):
+   * The entry of dataSources for config.dataSource (default "cloud").
+   */
+  getDataSource: function (plant) {
+    const name = plant.config.mockData ? "cloud" : plant.config.dataSource || "cloud";
+    const dataSource = this.dataSources[name];
+    if (!dataSource) {
+      throw new Error(`Unknown dataSource "${name}"`);
+    }
+    return dataSource;
+  },
 
-    } catch (error) {
-      console.error("[MMM-SunGrow] fetchDetailsData error:", error);
-      this.sendSocketNotification("SUN_GROW_ERROR", { message: error.message });
+  /**
+   * hasCloudAccount(plant):
+   * True if the config has iSolarCloud credentials.
+   */
+  hasCloudAccount: function (plant) {
+    return Boolean(plant.config.appKey && plant.config.userName && plant.config.userPassword);
+  },
+
+  /**
+   * runTask(plant, task):
+   * Runs one polling task, against the mock data in mock mode.
+   */
+  runTask: async function (plant, task) {
+    if (plant.config.mockData) {
+      this.handleMockRequest(plant, task.notification);
+      return;
     }
+    // A local data source needs no iSolarCloud discovery
+    if (!task.local) {
+      try {
+        await this.ensureDiscovery(plant);
+      } catch (error) {
+        console.error("[MMM-SunGrow] discovery error:", error.message);
+        this.sendError(plant, error.message);
+        return;
+      }
+    }
+    await task.run();
   },
 
   /**
-   * fetchCurrentPowerData():
-   * Calls /openapi/getDeviceRealTimeData for current power data
+   * startScheduler(plant):
+   * Starts the plant's polling loop unless it is already running. A front-end
+   * connecting to a plant that is already polled (second browser, reload,
+   * second instance) does not add API traffic.
    */
-  fetchCurrentPowerData: async function () {
-    if (!this.token) {
-      console.warn("[MMM-SunGrow] No token, cannot fetch current power data!");
-      this.sendSocketNotification("SUN_GROW_ERROR", { message: "No token available." });
+  startScheduler: function (plant) {
+    if (plant.timers) {
+      console.log(`[MMM-SunGrow] Scheduler for ${plant.key} already running`);
       return;
     }
 
-    try {
-        console.log("[MMM-SunGrow] fetchCurrentPowerData() - calling fetchCurrentPowerData for live stats");
-
-        const url = `${this.config.portalUrl}/openapi/getDeviceRealTimeData`;
-
-        // We request measuring points for:
-        //   - 13126: Battery Charging Power
-        //   - 13150: Battery Discharging Power
-        //   - 13141: Battery Level (SOC)
-        //   - 13119: Load Power
-        //   - 13011: PV Active Power
-        //   - 13121: Feed-in Power
-        //   - 13149: Purchased Power
-        const body = {
-          appkey: this.config.appKey || "",
-          device_type: "14",
-          lang: "_en_US",
-          point_id_list: [
-            "13126", // batteryChargingPower
-            "13150", // batteryDischargingPower
-            "13141", // batterySoC
-            "13119", // loadPower
-            "13011", // pvPower
-            "13121", // feedInPower
-            "13149"  // purchasedPower
-          ],
-          // Construct ps_key_list dynamically from config.plantId
-          ps_key_list: [ `${this.config.plantId}_14_1_1` ],
-          sys_code: "207",
-          token: this.token
-        };
+    plant.timers = {};
+    console.log(`[MMM-SunGrow] Starting scheduler for ${plant.key}`);
 
-      const res = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-access-key": this.config.secretKey || ""
-        },
-        body: JSON.stringify(body)
-      });
+    // Start the tasks a few seconds apart, the live data first
+    this.getTasks(plant)
+      .filter((task) => task.enabled)
+      .forEach((task, index) => this.scheduleTask(plant, task, index * 2000 + this.getJitter(plant, task)));
+  },
 
-      if (!res.ok) {
-        if (res.status === 401) {
-          console.warn("[MMM-SunGrow] Battery request got 401 => token expired?");
-          this.token = null;
-          return;
+  /**
+   * stopScheduler(plant):
+   * Stops the plant's polling loop. A run in progress finishes, but does not
+   * schedule the next one.
+   */
+  stopScheduler: function (plant) {
+    if (!plant.timers) {
+      return;
+    }
+
+    console.log(`[MMM-SunGrow] Stopping scheduler for ${plant.key}`);
+    Object.values(plant.timers).forEach((timer) => clearTimeout(timer));
+    plant.timers = null;
+  },
+
+  /**
+   * scheduleTask(plant, task, delay):
+   * Runs the task after delay and schedules its next run afterwards, so a
+   * slow request never overlaps with the next one. While every instance
+   * showing the plant is paused the run is skipped, at night the runs of
+   * daylightOnly tasks as well.
+   */
+  scheduleTask: function (plant, task, delay) {
+    const timers = plant.timers;
+    timers[task.name] = setTimeout(async () => {
+      try {
+        if (!this.isPaused(plant) && !(task.daylightOnly && plant.night)) {
+          await this.runTask(plant, task);
+        }
+      } finally {
+        // Stopped (or stopped and started again) while running
+        if (plant.timers === timers) {
+          this.scheduleTask(plant, task, this.getNextDelay(plant, task));
         }
-        throw new Error(`Battery data HTTP error! status: ${res.status}`);
       }
+    }, delay);
+  },
 
-      const json = await res.json();
-      if (json.result_code !== "1") {
-        throw new Error(`Battery data error: ${json.result_msg}`);
-      }
+  /**
+   * isPaused(plant):
+   * True if every screen of every instance showing the plant paused polling
+   * (SUN_GROW_PAUSE).
+   */
+  isPaused: function (plant) {
+    return Array.from(plant.subscribers).every((identifier) => Array.from(this.instances[identifier].screens.values()).every((paused) => paused));
+  },
 
-      const dp = json.result_data.device_point_list?.[0]?.device_point;
-      if (!dp) {
-        console.warn("[MMM-SunGrow] No device_point in battery response");
-        return;
-      }
+  /**
+   * getNextDelay(plant, task):
+   * The task's interval (at night its nightInterval, if it has one) plus
+   * jitter; while rate limited, at least until the pause ends.
+   */
+  getNextDelay: function (plant, task) {
+    const pause = plant.session.rateLimit.pausedUntil - Date.now();
+    const interval = plant.night && task.nightInterval ? task.nightInterval : task.interval;
+    return Math.max(interval, pause) + this.getJitter(plant, task);
+  },
 
-      // 1) Battery charging/discharging
-      const batteryChargingPower = parseFloat(dp.p13126) || 0;
-      const batteryDischargingPower = parseFloat(dp.p13150) || 0;
-      const batterySoCFrac = parseFloat(dp.p13141) || 0;
-      const batterySoCPercent = batterySoCFrac * 100;
-      // 2) Load Power
-      const loadPowerW = parseFloat(dp.p13119) || 0;
-      // 3) PV Power
-      const pvPowerW = parseFloat(dp.p13011) || 0;
-      // 4) Grid (FeedIn vs. Purchased)
-      const feedInPower = parseFloat(dp.p13121) || 0;
-      const purchasedPower = parseFloat(dp.p13149) || 0;
-      // Net grid power = feedIn - purchased
-      let netGridPower = feedInPower - purchasedPower;
-      let gridPowerW = 0; // the final value we store in transformed, always >= 0
-
-
-      // Build arrow connections & currentPower
-      const connections = [];
-      let batteryPowerW = 0;
-
-      // If chargingPower > 0 => from PV to STORAGE
-      if (batteryChargingPower > 0) {
-        connections.push({ from: "PV", to: "STORAGE" });
-        batteryPowerW = batteryChargingPower;
-      // Else if dischargingPower > 0 => from STORAGE to LOAD
-      } else if (batteryDischargingPower > 0) {
-        connections.push({ from: "STORAGE", to: "LOAD" });
-        batteryPowerW = batteryDischargingPower;
-      // Else both 0 => no arrow, currentPower=0
-      }
-
-      if (pvPowerW > 0) {
-         connections.push({ from: "PV", to: "LOAD" });
-      }
-
-      if (netGridPower > 0) {
-        // positive => net feed-in => arrow from "PV" to "GRID"
-        connections.push({ from: "LOAD", to: "GRID" });
-        gridPowerW = netGridPower;     // show as positive
-      } else if (netGridPower < 0) {
-        // negative => net purchase => arrow from "GRID" to "LOAD"
-        connections.push({ from: "GRID", to: "LOAD" });
-        gridPowerW = -netGridPower;    // make it positive for display
-      } else {
-        // zero => no arrow, gridPowerW = 0
-      }
+  /**
+   * getJitter(plant, task):
+   * Random delay of up to 10% of the interval (capped by config.schedulerJitter)
+   * so the requests of different tasks and mirrors do not line up.
+   */
+  getJitter: function (plant, task) {
+    return Math.floor(Math.random() * Math.min(task.interval * 0.1, plant.config.schedulerJitter || 2000));
+  },
 
+  /**
+   * sendData(plant, notification, payload):
+   * Keeps a *_DATA_RECEIVED payload of a plant (for front-ends connecting
+   * later), publishes it via MQTT (see publishMqtt()) and sends it to every
+   * instance showing the plant.
+   * Alarms get alerted: true once they were sent, so a reloaded or second
+   * browser does not raise the MagicMirror alert again.
+   */
+  sendData: function (plant, notification, payload) {
+    const alarms = notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_RECEIVED";
+    if (alarms) {
+      payload = Object.assign({}, payload, {
+        alarms: payload.alarms.map((alarm) => Object.assign({}, alarm, { alerted: plant.alertedAlarms.has(alarm.id) }))
+      });
+    }
 
-      // Build final structure
-      const transformed = {
-        siteCurrentPowerFlow: {
-          STORAGE: { currentPower: batteryPowerW, status: "Active", chargeLevel: batterySoCPercent },
-          PV:      { currentPower: pvPowerW,      status: "Active" },
-          LOAD:    { currentPower: loadPowerW,    status: "Active" },
-          GRID:    { currentPower: gridPowerW,    status: "Active" },
-          connections: connections,
-          unit: "W"
-        }
-      };
+    plant.lastPayloads[notification] = payload;
+    plant.updatedAt[notification] = Date.now();
+    this.publishMqtt(plant, notification);
+    plant.subscribers.forEach((identifier) => this.sendView(this.instances[identifier], notification));
 
-      // DEBUGGING:
-      // console.log("[MMM-SunGrow] Current power data:", transformed);
-      this.sendSocketNotification(
-        "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED",
-        transformed
-      );
+    if (alarms) {
+      plant.alertedAlarms = new Set(payload.alarms.map((alarm) => alarm.id));
+      plant.lastPayloads[notification] = Object.assign({}, payload, {
+        alarms: payload.alarms.map((alarm) => Object.assign({}, alarm, { alerted: true }))
+      });
+    }
+  },
 
-    } catch (error) {
-      console.error("[MMM-SunGrow] fetchStorageData error:", error);
-      this.sendSocketNotification("SUN_GROW_ERROR", { message: error.message });
+  /**
+   * sendView(instance, notification):
+   * Sends an instance what it shows for notification: the payload of its
+   * plant, or the sum over its plants for an aggregated instance. updatedAt
+   * is when it was fetched (ms), the oldest plant's for an aggregated instance,
+   * and sentAt the time of sending: the front-end takes the age from the two,
+   * as the clock of the browser may differ from ours.
+   */
+  sendView: function (instance, notification) {
+    const plants = instance.plantKeys.map((key) => this.plants[key]);
+    const payload = plants.length === 1
+      ? plants[0].lastPayloads[notification]
+      : this.aggregate(plants, notification);
+
+    if (payload) {
+      const updatedAt = Math.min(...plants.map((plant) => plant.updatedAt[notification] || Date.now()));
+      this.sendSocketNotification(notification, Object.assign({}, payload, { targets: [instance.id], updatedAt, sentAt: Date.now() }));
     }
   },
 
-   /**
-   * fetchDayEnergyData():
-   * Calls /openapi/getDeviceRealTimeData with the measuring points for daily data:
-   *  - 13112 = daily PV Production (Wh)
-   *  - 13199 = daily Load Consumption (Wh)
-   *  - 13122 = daily Feed-In (Wh)
-   *  - 13147 = daily Purchased (Wh)
-   *  - 13116 = daily Direct Energy Consumption / self-consumption (Wh)
-   *
-   * Then transforms to:
-   *  {
-   *    energyDetails: {
-   *      meters: [
-   *        { type: "Production",   values: [{ value: ... }] },
-   *        { type: "Consumption",  values: [{ value: ... }] },
-   *        { type: "FeedIn",       values: [{ value: ... }] },
-   *        { type: "Purchased",    values: [{ value: ... }] },
-   *        { type: "SelfConsumption", values: [{ value: ... }] }
-   *      ]
-   *    }
-   *  }
+  /**
+   * logDebug(plant, message):
+   * Logs message only with config.debug. For what happens on every poll, so
+   * the MagicMirror log shows the state changes (start, pause, back-off, errors).
    */
-  fetchDayEnergyData: async function () {
-    if (!this.token) {
-      console.warn("[MMM-SunGrow] No token for day energy!");
-      this.sendSocketNotification("SUN_GROW_ERROR", { message: "No token available." });
-      return;
+  logDebug: function (plant, message) {
+    if (plant.config.debug) {
+      console.log(message);
     }
+  },
 
-    try {
-      console.log("[MMM-SunGrow] fetchDayEnergyData() - calling getDeviceRealTimeData for daily stats");
-
-      // 1) We call /openapi/getDeviceRealTimeData with the measuring points needed:
-      //    - 13112 = daily PV Production (Wh)
-      //    - 13199 = daily Load Consumption (Wh)
-      //    - 13122 = daily Feed-In Energy Today (Wh)
-      //    - 13147 = daily Purchased Energy Today (Wh)
-      //    - 13116 = daily Direct Energy Consumption (aka self consumption) (Wh)
-      const url = `${this.config.portalUrl}/openapi/getDeviceRealTimeData`;
-      const body = {
-        appkey: this.config.appKey || "",
-        device_type: "14",
-        lang: "_en_US",
-        point_id_list: [
-          "13112", // daily PV Production
-          "13199", // daily Load Consumption
-          "13122", // daily Feed-In
-          "13147", // daily Purchased
-          "13116"  // daily Self Consumption
-        ],
-        ps_key_list: [ `${this.config.plantId}_14_1_1` ],
-        sys_code: "207",
-        token: this.token
-      };
+  /**
+   * sendError(plant, message):
+   * Sends SUN_GROW_ERROR to every instance showing the plant, with the kind
+   * of the error (see errorKinds) and when it happened (ms).
+   */
+  sendError: function (plant, message) {
+    const match = this.errorKinds.find((entry) => entry.pattern.test(message));
+    this.sendSocketNotification("SUN_GROW_ERROR", {
+      message,
+      kind: match ? match.kind : "OTHER",
+      plantId: plant.discovery ? plant.discovery.psId : plant.config.plantId,
+      targets: Array.from(plant.subscribers)
+    });
+  },
 
-      const res = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-access-key": this.config.secretKey || ""
-        },
-        body: JSON.stringify(body)
-      });
+  /**
+   * aggregate(plants, notification):
+   * Sums a dataset over several plants. Returns undefined until every plant
+   * delivered it once. Live and daily data are summed on the raw measuring
+   * points and run through the normal transformation, so charging and
+   * discharging batteries or feed-in and purchase of different plants net out.
+   */
+  aggregate: function (plants, notification) {
+    switch (notification) {
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED": {
+        const points = plants.map((plant) => plant.points.currentPower);
+        if (points.some((dp) => !dp)) {
+          return undefined;
+        }
+        const sum = (id) => points.reduce((total, dp) => total + (parseFloat(dp[id]) || 0), 0);
+        const battery = sum("p13126") - sum("p13150");
+        const grid = sum("p13121") - sum("p13149");
+        const withBattery = points.filter((dp) => dp.p13141 !== undefined);
+        const average = (id) => {
+          const reporting = points.filter((dp) => dp[id] !== undefined && dp[id] !== null);
+          return reporting.length ? reporting.reduce((total, dp) => total + (parseFloat(dp[id]) || 0), 0) / reporting.length : undefined;
+        };
+        return this.transformCurrentPowerData({
+          p13126: Math.max(battery, 0),
+          p13150: Math.max(-battery, 0),
+          // average state of charge of the plants with a battery
+          p13141: withBattery.length ? withBattery.reduce((total, dp) => total + (parseFloat(dp.p13141) || 0), 0) / withBattery.length : undefined,
+          p13119: sum("p13119"),
+          p13011: sum("p13011"),
+          p13121: Math.max(grid, 0),
+          p13149: Math.max(-grid, 0),
+          p13142: average("p13142"),
+          p13143: average("p13143")
+        });
+      }
 
-      if (!res.ok) {
-        if (res.status === 401) {
-          console.warn("[MMM-SunGrow] Day energy request got 401 => token expired?");
-          this.token = null;
-          return;
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED": {
+        const points = plants.map((plant) => plant.points.dayEnergy);
+        if (points.some((dp) => !dp)) {
+          return undefined;
         }
-        throw new Error(`DayEnergy HTTP error! status: ${res.status}`);
+        const summed = {};
+        ["p13112", "p13199", "p13122", "p13147", "p13116"].forEach((id) => {
+          summed[id] = points.reduce((total, dp) => total + (parseFloat(dp[id]) || 0), 0);
+        });
+        // battery throughput of the plants with energy storage
+        if (points.some((dp) => dp.p13028 !== undefined)) {
+          ["p13028", "p13029"].forEach((id) => {
+            summed[id] = points.reduce((total, dp) => total + (parseFloat(dp[id]) || 0), 0);
+          });
+        }
+        return this.transformDayEnergyData(summed);
       }
 
-      const json = await res.json();
-      if (json.result_code !== "1") {
-        throw new Error(`DayEnergy data error: ${json.result_msg}`);
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_RECEIVED": {
+        const overviews = plants.map((plant) => plant.lastPayloads[notification]?.overview);
+        if (overviews.some((overview) => !overview)) {
+          return undefined;
+        }
+        const sum = (field, value) => overviews.reduce((total, overview) => total + (overview[field]?.[value] || 0), 0);
+        return {
+          overview: {
+            lastUpdateTime: overviews.map((overview) => overview.lastUpdateTime).sort().pop(),
+            lifeTimeData: { energy: sum("lifeTimeData", "energy") },
+            lastYearData: { energy: sum("lastYearData", "energy") },
+            lastMonthData: { energy: sum("lastMonthData", "energy") },
+            lastDayData: { energy: sum("lastDayData", "energy") },
+            currentPower: { power: sum("currentPower", "power") },
+            measuredBy: "INVERTER"
+          }
+        };
       }
 
-      // 2) Extract the device_point
-      const dp = json.result_data.device_point_list?.[0]?.device_point;
-      if (!dp) {
-        console.warn("[MMM-SunGrow] No device_point in day energy response");
-        return;
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_POWER_CURVE_DATA_RECEIVED": {
+        const curves = plants.map((plant) => plant.lastPayloads[notification]?.powerCurve);
+        if (curves.some((curve) => !curve)) {
+          return undefined;
+        }
+        // Only the minutes every plant has a sample for
+        const byMinute = curves.map((curve) => new Map(curve.samples.map((sample) => [sample.minute, sample])));
+        const samples = curves[0].samples
+          .filter((sample) => byMinute.every((map) => map.has(sample.minute)))
+          .map((sample) => {
+            const all = byMinute.map((map) => map.get(sample.minute));
+            const sum = (field) => all.reduce((total, entry) => total + entry[field], 0);
+            const socs = all.filter((entry) => entry.soc !== null);
+            return {
+              minute: sample.minute,
+              pv: sum("pv"),
+              load: sum("load"),
+              grid: sum("grid"),
+              battery: sum("battery"),
+              soc: socs.length ? socs.reduce((total, entry) => total + entry.soc, 0) / socs.length : null
+            };
+          });
+        return { powerCurve: { date: curves[0].date, interval: curves[0].interval, samples } };
       }
 
-      // 3) Convert the measuring points to floats, defaulting to 0 if missing
-      const dailyProductionWh = parseFloat(dp.p13112) || 0;  // daily PV Production
-      const dailyConsumptionWh = parseFloat(dp.p13199) || 0; // daily Load Consumption
-      const dailyFeedInWh = parseFloat(dp.p13122) || 0;      // daily Feed-in
-      const dailyPurchasedWh = parseFloat(dp.p13147) || 0;   // daily Purchased
-      const dailySelfConsWh = parseFloat(dp.p13116) || 0;    // daily direct self-consumption
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_RECEIVED": {
+        const histories = plants.map((plant) => plant.lastPayloads[notification]?.energyHistory);
+        if (histories.some((history) => !history)) {
+          return undefined;
+        }
+        const sumBars = (period) => histories[0][period].bars.map((bar, index) => {
+          const summed = { label: bar.label };
+          ["production", "consumption", "feedIn", "purchased"].forEach((field) => {
+            summed[field] = histories.reduce((total, history) => total + (history[period].bars[index]?.[field] || 0), 0);
+          });
+          return summed;
+        });
+        return {
+          energyHistory: {
+            month: { period: histories[0].month.period, bars: sumBars("month") },
+            year: { period: histories[0].year.period, bars: sumBars("year") }
+          }
+        };
+      }
 
-      // 4) Transform to the old structure:
-      const transformed = {
-        energyDetails: {
-          meters: [
-            { type: "Production",      values: [{ value: dailyProductionWh }] },
-            { type: "Consumption",     values: [{ value: dailyConsumptionWh }] },
-            { type: "FeedIn",          values: [{ value: dailyFeedInWh }] },
-            { type: "Purchased",       values: [{ value: dailyPurchasedWh }] },
-            { type: "SelfConsumption", values: [{ value: dailySelfConsWh }] }
-          ]
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_FINANCIAL_DATA_RECEIVED": {
+        const financials = plants.map((plant) => plant.lastPayloads[notification]?.financial);
+        if (financials.some((financial) => !financial)) {
+          return undefined;
         }
-      };
+        const sumPeriod = (period) => {
+          const summed = {};
+          ["cost", "revenue", "savings"].forEach((field) => {
+            summed[field] = financials.reduce((total, financial) => total + financial[period][field], 0);
+          });
+          summed.partial = financials.some((financial) => financial[period].partial);
+          return summed;
+        };
+        return {
+          financial: {
+            currency: financials[0].currency,
+            today: sumPeriod("today"),
+            month: sumPeriod("month"),
+            year: sumPeriod("year")
+          }
+        };
+      }
 
-      // 5) Send to the front-end
-      this.sendSocketNotification(
-        "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED",
-        transformed
-      );
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_HISTORY_DATA_RECEIVED": {
+        if (plants.some((plant) => !plant.lastPayloads[notification])) {
+          return undefined;
+        }
+        // Sum the stored totals per day, then compare like a single plant
+        const days = {};
+        plants.forEach((plant) => Object.keys(plant.history.days).forEach((date) => {
+          const totals = plant.history.days[date];
+          days[date] = days[date] || { production: 0, consumption: 0, feedIn: 0, purchased: 0, selfConsumption: 0 };
+          Object.keys(days[date]).forEach((field) => (days[date][field] += totals[field] || 0));
+        }));
+        return this.compareHistory(days, plants[0].lastPayloads[notification].history.date);
+      }
 
-    } catch (error) {
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_FORECAST_DATA_RECEIVED": {
+        const forecasts = plants.map((plant) => plant.lastPayloads[notification]?.forecast);
+        if (forecasts.some((forecast) => !forecast)) {
+          return undefined;
+        }
+        // Same 15 minute grid for every plant
+        const sum = (field) => forecasts.reduce((total, forecast) => total + forecast[field], 0);
+        const actual = forecasts.some((forecast) => forecast.actual === null) ? null : sum("actual");
+        return {
+          forecast: {
+            date: forecasts[0].date,
+            interval: forecasts[0].interval,
+            corrected: forecasts.every((forecast) => forecast.corrected),
+            samples: forecasts[0].samples.map((sample, index) => ({
+              minute: sample.minute,
+              power: forecasts.reduce((total, forecast) => total + (forecast.samples[index]?.power || 0), 0)
+            })),
+            expected: sum("expected"),
+            expectedSoFar: sum("expectedSoFar"),
+            actual,
+            threshold: forecasts[0].threshold,
+            underperforming: this.isUnderperforming(actual, sum("expectedSoFar"), sum("expected"), forecasts[0].threshold),
+            belowDays: plants.flatMap((plant, index) => {
+              const name = plant.discovery?.plants.find((entry) => entry.id === plant.discovery.psId)?.name;
+              return forecasts[index].belowDays.map((day) => Object.assign({}, day, { plant: name || plant.discovery?.psId }));
+            })
+          }
+        };
+      }
+
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_SUN_DATA_RECEIVED": {
+        const suns = plants.map((plant) => plant.lastPayloads[notification]?.sun);
+        if (suns.some((sun) => !sun)) {
+          return undefined;
+        }
+        // Night once the sun has set at every plant
+        return { sun: Object.assign({}, suns[0], { night: suns.every((sun) => sun.night) }) };
+      }
+
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_RECEIVED":
+        return {
+          alarms: this.filterAlarms(plants[0], plants.flatMap((plant) => {
+            const alarms = plant.lastPayloads[notification]?.alarms || [];
+            const name = plant.discovery?.plants.find((entry) => entry.id === plant.discovery.psId)?.name;
+            return alarms.map((alarm) => Object.assign({}, alarm, { plant: name || plant.discovery?.psId }));
+          }))
+        };
+
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_INVERTER_DATA_RECEIVED":
+        return {
+          inverters: plants.flatMap((plant) => plant.lastPayloads[notification]?.inverters || [])
+        };
+
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_CUSTOM_POINTS_DATA_RECEIVED": {
+        // Temperatures, voltages etc. do not add up: show the tiles of every plant
+        return {
+          customPoints: plants.flatMap((plant) => {
+            const points = plant.lastPayloads[notification]?.customPoints || [];
+            const name = plant.discovery?.plants.find((entry) => entry.id === plant.discovery.psId)?.name;
+            return points.map((point) => Object.assign({}, point, { plant: name || plant.discovery?.psId }));
+          })
+        };
+      }
+
+      case "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_RECEIVED": {
+        const details = plants.map((plant) => plant.lastPayloads[notification]?.details);
+        if (details.some((detail) => !detail)) {
+          return undefined;
+        }
+        return {
+          details: {
+            location: {
+              address: details.map((detail) => detail.location.address).join(" + ")
+            },
+            peakPower: details.reduce((total, detail) => total + (detail.peakPower || 0), 0)
+          }
+        };
+      }
+    }
+    return undefined;
+  },
+
+  /**
+   * reserveRequest(plant, label):
+   * Counts an API call against the hourly request budget of the plant's
+   * account. Throws if we are paused after a 429 or the budget is used up.
+   */
+  reserveRequest: function (plant, label) {
+    const rateLimit = plant.session.rateLimit;
+    const now = Date.now();
+    if (now < rateLimit.pausedUntil) {
+      throw new Error(`${label} skipped: rate limited until ${new Date(rateLimit.pausedUntil).toLocaleTimeString()}`);
+    }
+
+    const budget = plant.config.requestBudget || 1000;
+    rateLimit.requests = rateLimit.requests.filter((time) => now - time < 60 * 60 * 1000);
+    if (rateLimit.requests.length >= budget) {
+      throw new Error(`${label} skipped: request budget of ${budget} per hour used up`);
+    }
+    rateLimit.requests.push(now);
+  },
+
+  /**
+   * handleRateLimit(plant, res, label):
+   * Pauses all requests of the plant's account after an HTTP 429, for as long
+   * as the Retry-After header asks or with an exponential back-off without it.
+   * Always throws.
+   */
+  handleRateLimit: function (plant, res, label) {
+    const rateLimit = plant.session.rateLimit;
+    rateLimit.strikes++;
+    const retryAfter = res.headers && res.headers.get("retry-after");
+    let delay = Math.min(this.rateLimitBackoffBase * Math.pow(2, rateLimit.strikes - 1), this.rateLimitBackoffMax);
+    if (retryAfter) {
+      // Either seconds or an HTTP date; one we cannot read keeps the back-off
+      const seconds = Number(retryAfter);
+      const requested = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (Number.isFinite(requested)) {
+        delay = requested;
+      }
+    }
+    rateLimit.pausedUntil = Date.now() + Math.max(delay, 0);
+    console.warn(`[MMM-SunGrow] ${label}: HTTP 429, pausing requests until ${new Date(rateLimit.pausedUntil).toLocaleTimeString()}`);
+    throw new Error(`${label} HTTP error! status: 429 (rate limited)`);
+  },
+
+  /**
+   * ensureLogin(plant):
+   * If the plant's account has no token, we attempt a login; if a login is already in progress,
+   * we wait for the same one. This avoids multiple logins at the same time.
+   * While a back-off after failed logins is running, no login is attempted and
+   * the request fails right away.
+   */
+  ensureLogin: async function (plant) {
+    // If we already have a valid token, do nothing:
+    if (plant.session.token) {
+      return;
+    }
+
+    // If a login is already in progress, wait until it completes
+    if (plant.session.loginPromise) {
+      console.log("[MMM-SunGrow] Waiting for ongoing login to finish...");
+      return plant.session.loginPromise;
+    }
+
+    if (Date.now() < plant.session.auth.retryAt) {
+      const retryAt = new Date(plant.session.auth.retryAt).toLocaleTimeString();
+      throw new Error(`Login paused until ${retryAt} (${plant.session.auth.reason})`);
+    }
+
+    // Otherwise, do a fresh login
+    plant.session.auth.state = "loggingIn";
+    plant.session.loginPromise = this.loginToISolarCloud(plant);
+    try {
+      await plant.session.loginPromise;
+      plant.session.auth = { state: "loggedIn", failures: 0, retryAt: 0, reason: null };
+    } catch (error) {
+      const locked = error.locked === true;
+      plant.session.auth.failures++;
+      plant.session.auth.state = locked ? "locked" : "backoff";
+      plant.session.auth.reason = error.message;
+      plant.session.auth.retryAt = Date.now() + (locked
+        ? this.loginLockedDelay
+        : Math.min(this.loginBackoffBase * Math.pow(2, plant.session.auth.failures - 1), this.loginBackoffMax));
+      console.error(`[MMM-SunGrow] Login failed (${plant.session.auth.failures}x), next attempt at ${new Date(plant.session.auth.retryAt).toLocaleTimeString()}:`, error.message);
+      throw error;
+    } finally {
+      plant.session.loginPromise = null;
+    }
+  },
+
+  /**
+   * loginToISolarCloud(plant):
+   * Logs in to iSolarCloud using the plant config’s user/password, appKey, secretKey, etc.
+   * We'll store the token in the account's session once done. Throws on failure, with
+   * error.locked set when the account is locked.
+   */
+  loginToISolarCloud: async function (plant) {
+    if (!plant.config.userName || !plant.config.userPassword) {
+      throw new Error("No user/password provided in config for iSolarCloud login.");
+    }
+    if (!plant.config.portalUrl) {
+      throw new Error("No portalUrl specified in config.");
+    }
+
+    this.reserveRequest(plant, "Login");
+    const loginUrl = `${plant.config.portalUrl}/openapi/login`;
+    const body = {
+      appkey: plant.config.appKey || "",
+      user_account: plant.config.userName,
+      user_password: plant.config.userPassword,
+      lang: "_en_US",
+      sys_code: "207", // or "901" depending on your environment
+      token: ""
+    };
+
+    const res = await fetch(loginUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-access-key": plant.config.secretKey || ""
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (res.status === 429) {
+      this.handleRateLimit(plant, res, "Login");
+    }
+    if (!res.ok) {
+      throw new Error(`Login HTTP error! status: ${res.status}`);
+    }
+
+    const loginData = await res.json();
+    if (loginData.result_code !== "1") {
+      throw new Error(`Login error: ${loginData.result_msg || "Unknown error"}`);
+    }
+
+    const loginState = loginData.result_data?.login_state;
+    if (loginState !== undefined && String(loginState) !== "1") {
+      const error = new Error(`Login error: ${this.loginStates[String(loginState)] || `login_state ${loginState}`}`);
+      error.locked = String(loginState) === "2";
+      throw error;
+    }
+    if (!loginData.result_data?.token) {
+      throw new Error("Login error: no token in response");
+    }
+
+    plant.session.token = loginData.result_data.token;
+    //DEGBUG
+    //console.log("[MMM-SunGrow] /openapi/login success, token:", plant.session.token);
+    console.log("[MMM-SunGrow] /openapi/login success");
+  },
+
+  /**
+   * isTokenExpired(json):
+   * True if an API answer says the token is no longer valid.
+   */
+  isTokenExpired: function (json) {
+    const code = String(json.result_code || "");
+    const msg = String(json.result_msg || "").toLowerCase();
+    return this.tokenExpiredCodes.includes(code) ||
+      this.tokenExpiredMessages.some((text) => msg.includes(text));
+  },
+
+  /**
+   * callOpenApi(plant, endpoint, params, label):
+   * POSTs to /openapi/<endpoint> with appkey, lang, sys_code and token added,
+   * and returns result_data. If the token was rejected (HTTP 401 or one of the
+   * expired token result codes), we log in again once and replay the request.
+   * label is used in error messages.
+   */
+  callOpenApi: async function (plant, endpoint, params, label) {
+    for (let attempt = 1; ; attempt++) {
+      await this.ensureLogin(plant);
+      const token = plant.session.token;
+      this.reserveRequest(plant, label);
+
+      const res = await fetch(`${plant.config.portalUrl}/openapi/${endpoint}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-access-key": plant.config.secretKey || ""
+        },
+        body: JSON.stringify({
+          appkey: plant.config.appKey || "",
+          lang: "_en_US",
+          sys_code: "207",
+          ...params,
+          token
+        })
+      });
+
+      if (res.status === 429) {
+        this.handleRateLimit(plant, res, label);
+      }
+      plant.session.rateLimit.strikes = 0;
+
+      const json = res.ok ? await res.json() : null;
+      if (res.status === 401 || (json && this.isTokenExpired(json))) {
+        // Only drop the token if no other request replaced it meanwhile
+        if (plant.session.token === token) {
+          plant.session.token = null;
+          plant.session.auth.state = "loggedOut";
+        }
+        if (attempt === 1) {
+          console.warn(`[MMM-SunGrow] ${label}: token expired, logging in again and retrying`);
+          continue;
+        }
+        throw new Error(`${label} error: token rejected again after re-login`);
+      }
+
+      if (!res.ok) {
+        throw new Error(`${label} HTTP error! status: ${res.status}`);
+      }
+      if (json.result_code !== "1") {
+        throw new Error(`${label} error: ${json.result_msg}`);
+      }
+      return json.result_data || {};
+    }
+  },
+
+  /**
+   * ensureDiscovery(plant):
+   * Runs discoverPlant() once per plant (after the login). Concurrent tasks
+   * wait for the same discovery; a failed discovery is retried by the next task.
+   */
+  ensureDiscovery: async function (plant) {
+    if (plant.discovery) {
+      return;
+    }
+    if (!plant.discoveryPromise) {
+      plant.discoveryPromise = this.discoverPlant(plant).finally(() => {
+        plant.discoveryPromise = null;
+      });
+    }
+    await plant.discoveryPromise;
+  },
+
+  /**
+   * discoverPlant(plant):
+   * Lists the account's power stations (/openapi/getPowerStationList) and the
+   * devices of the plant (/openapi/getDeviceList), then resolves:
+   *  - psId:   config.plantId, or the account's only / first plant
+   *  - sn:     config.plantSN, or the serial number of the communication module
+   *  - source: the device the live and daily points are read from, the energy
+   *            storage system (device_type 14) if there is one, else the plant itself
+   * If the account has several plants and none is configured, they are logged
+   * and sent to the front-end so the user can pick one.
+   */
+  discoverPlant: async function (plant) {
+    console.log("[MMM-SunGrow] discoverPlant() - calling getPowerStationList");
+    const stations = await this.callOpenApi(plant, "getPowerStationList", {
+      curPage: 1,
+      size: 100
+    }, "Plant list");
+
+    const plants = (stations.pageList || []).map((station) => ({
+      id: String(station.ps_id),
+      name: station.ps_name || "",
+      location: station.ps_location || ""
+    }));
+
+    let psId = plant.config.plantId ? String(plant.config.plantId) : null;
+    if (!psId) {
+      if (plants.length === 0) {
+        throw new Error("No plant found for this account.");
+      }
+      psId = plants[0].id;
+      if (plants.length > 1) {
+        console.warn("[MMM-SunGrow] Several plants found, using the first one. Set plantId to pick another:");
+        plants.forEach((entry) => console.warn(`[MMM-SunGrow]   plantId: "${entry.id}"  ${entry.name}  ${entry.location}`));
+      }
+    } else if (plants.length > 0 && !plants.some((entry) => entry.id === psId)) {
+      console.warn(`[MMM-SunGrow] plantId ${psId} is not in the plant list of this account`);
+    }
+
+    this.sendData(
+      plant,
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_PLANT_LIST_RECEIVED",
+      { plants, selected: psId, configured: !!plant.config.plantId }
+    );
+
+    console.log(`[MMM-SunGrow] discoverPlant() - calling getDeviceList for plant ${psId}`);
+    const deviceList = await this.callOpenApi(plant, "getDeviceList", {
+      curPage: 1,
+      ps_id: psId,
+      size: 100
+    }, "Device list");
+
+    const devices = (deviceList.pageList || []).map((device) => ({
+      psKey: device.ps_key,
+      deviceType: String(device.device_type),
+      sn: device.device_sn || "",
+      name: device.device_name || device.type_name || "",
+      model: device.device_model_code || device.type_name || "",
+      firmware: device.firmware_version || device.arm_version || ""
+    }));
+    const findDevice = (type) => devices.find((device) => device.deviceType === type);
+
+    const storage = findDevice(this.deviceTypes.storage);
+    const communication = findDevice(this.deviceTypes.communication);
+    const source = storage
+      ? { kind: "storage", deviceType: storage.deviceType, psKey: storage.psKey }
+      : { kind: "plant", deviceType: this.deviceTypes.plant, psKey: `${psId}_11_0_0` };
+
+    plant.discovery = {
+      psId,
+      sn: plant.config.plantSN || (communication && communication.sn) || "",
+      plants,
+      devices,
+      source
+    };
+
+    console.log(`[MMM-SunGrow] Plant ${psId}: ${devices.length} devices, reading live data from ${source.kind} ${source.psKey}`);
+  },
+
+  /**
+   * normalizePlantPoints(dp, dataset):
+   * Maps plant level points (see plantPoints) to the energy storage point ids,
+   * so transformCurrentPowerData() and transformDayEnergyData() can be used unchanged.
+   * There is no battery, so no state of charge (p13141) is set.
+   */
+  normalizePlantPoints: function (dp, dataset) {
+    if (dataset === "currentPower") {
+      const gridPower = parseFloat(dp.p83549) || 0;
+      return {
+        p13011: dp.p83033,
+        p13119: dp.p83106,
+        p13121: Math.max(gridPower, 0),
+        p13149: Math.max(-gridPower, 0)
+      };
+    }
+
+    const production = parseFloat(dp.p83022) || 0;
+    const feedIn = parseFloat(dp.p83072) || 0;
+    return {
+      p13112: production,
+      p13199: dp.p83118,
+      p13122: feedIn,
+      p13147: dp.p83102,
+      p13116: Math.max(production - feedIn, 0)
+    };
+  },
+
+  /**
+   * fetchDetailsData(plant):
+   * Calls /openapi/getPowerStationDetail for "details" data
+   * and transforms to the old "details" structure:
+   *   { details: { location: { address, latitude, longitude }, peakPower } }
+   */
+  fetchDetailsData: async function (plant) {
+    if (!plant.discovery.sn) {
+      console.warn("[MMM-SunGrow] No plantSN in config and none found!");
+      this.sendError(plant, "No sn in config.");
+      return;
+    }
+
+    try {
+      const rd = await this.callOpenApi(plant, "getPowerStationDetail", {
+        is_get_ps_remarks: "1",
+        sn: plant.discovery.sn
+      }, "getPowerStationDetail");
+
+      // E.g. { design_capacity, ps_location, ... }
+      const transformed = {
+        details: {
+          location: {
+            address: rd.ps_location || "No address",
+            latitude: isNaN(parseFloat(rd.latitude)) ? undefined : parseFloat(rd.latitude),
+            longitude: isNaN(parseFloat(rd.longitude)) ? undefined : parseFloat(rd.longitude)
+          },
+          peakPower: (rd.design_capacity || 0) / 1000
+        }
+      };
+
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_RECEIVED",
+        transformed
+      );
+
+    } catch (error) {
+      console.error("[MMM-SunGrow] fetchDetailsData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * fetchCurrentPowerData(plant):
+   * Reads the live measuring points from the data source (see readPoints())
+   */
+  fetchCurrentPowerData: async function (plant) {
+    try {
+      this.logDebug(plant, "[MMM-SunGrow] fetchCurrentPowerData() - calling fetchCurrentPowerData for live stats");
+
+      const { dp, sourcePoints } = await this.readPoints(plant, "currentPower");
+      if (!dp) {
+        console.warn("[MMM-SunGrow] No device_point in battery response");
+        return;
+      }
+
+      plant.points.currentPower = dp;
+      this.addCurveSample(plant, dp, new Date());
+      this.recordSnapshot(plant, dp, new Date());
+      const transformed = this.transformCurrentPowerData(dp);
+
+      // DEBUGGING:
+      // console.log("[MMM-SunGrow] Current power data:", transformed);
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED",
+        transformed
+      );
+      this.sendSunData(plant, new Date());
+      this.sendPowerCurve(plant);
+      if (sourcePoints) {
+        await this.fetchCustomPointsData(plant, sourcePoints);
+      } else if (this.hasCloudAccount(plant) && Date.now() - plant.customPointsReadAt >= plant.config.updateIntervalBasicData) {
+        // A local data source polls faster than iSolarCloud allows: read the custom points less often
+        plant.customPointsReadAt = Date.now();
+        await this.fetchCustomPointsData(plant, null);
+      }
+
+    } catch (error) {
+      console.error("[MMM-SunGrow] fetchStorageData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * readPoints(plant, kind):
+   * Reads the live ("currentPower") or daily ("dayEnergy") measuring points
+   * from the plant's data source (config.dataSource, see dataSources).
+   * Returns { dp, sourcePoints }: dp with the energy storage point ids the
+   * transformations read (p13011, p13119, ...), sourcePoints the unchanged
+   * iSolarCloud device_point (null for local data sources).
+   */
+  readPoints: async function (plant, kind) {
+    return this[this.getDataSource(plant).read](plant, kind);
+  },
+
+  /**
+   * readCloudPoints(plant, kind):
+   * Calls /openapi/getDeviceRealTimeData for the source device found by
+   * discoverPlant(). Live data (plants without energy storage system: the
+   * plant level points, see plantPoints):
+   *   - 13126: Battery Charging Power
+   *   - 13150: Battery Discharging Power
+   *   - 13141: Battery Level (SOC)
+   *   - 13119: Load Power
+   *   - 13011: PV Active Power
+   *   - 13121: Feed-in Power
+   *   - 13149: Purchased Power
+   *   - 13142: Battery State of Health
+   *   - 13143: Battery Temperature
+   * Custom points of the same device are read in the same request.
+   * Daily data:
+   *   - 13112 = daily PV Production (Wh)
+   *   - 13199 = daily Load Consumption (Wh)
+   *   - 13122 = daily Feed-In Energy Today (Wh)
+   *   - 13147 = daily Purchased Energy Today (Wh)
+   *   - 13116 = daily Direct Energy Consumption (aka self consumption) (Wh)
+   *   - 13028 = daily Battery Charging Energy (Wh)
+   *   - 13029 = daily Battery Discharging Energy (Wh)
+   */
+  readCloudPoints: async function (plant, kind) {
+    const source = plant.discovery.source;
+    const storagePoints = kind === "currentPower"
+      ? ["13126", "13150", "13141", "13119", "13011", "13121", "13149", "13142", "13143"]
+      : ["13112", "13199", "13122", "13147", "13116", "13028", "13029"];
+    let pointIds = source.kind === "plant" ? this.plantPoints[kind] : storagePoints;
+    if (kind === "currentPower") {
+      pointIds = pointIds.concat(this.getCustomPoints(plant)
+        .filter((definition) => definition.deviceType === source.deviceType)
+        .map((definition) => definition.point))
+        // e.g. batteryTemperature as custom point is read anyway
+        .filter((point, index, points) => points.indexOf(point) === index);
+    }
+
+    const rd = await this.callOpenApi(plant, "getDeviceRealTimeData", {
+      device_type: source.deviceType,
+      point_id_list: pointIds,
+      // ps_key of the device found by discoverPlant()
+      ps_key_list: [ source.psKey ]
+    }, kind === "currentPower" ? "Battery data" : "DayEnergy data");
+
+    const sourcePoints = rd.device_point_list?.[0]?.device_point;
+    if (!sourcePoints) {
+      return { dp: null, sourcePoints: null };
+    }
+    return {
+      dp: source.kind === "plant" ? this.normalizePlantPoints(sourcePoints, kind) : sourcePoints,
+      sourcePoints
+    };
+  },
+
+  /**
+   * readModbusPoints(plant, kind):
+   * Reads a SunGrow hybrid inverter (SH series) over Modbus TCP (WiNet-S or
+   * LAN port, config.modbus). Input registers as numbered in the SunGrow
+   * protocol (address + 1), U32/S32 with the low word first:
+   *   - 5017/5018:   total DC power (W)
+   *   - 13001:       running state (bit 1 charging, bit 2 discharging)
+   *   - 13002:       daily PV generation (0.1 kWh)
+   *   - 13008/13009: load power (W)
+   *   - 13010/13011: export power (W, negative = import)
+   *   - 13017:       daily direct energy consumption (0.1 kWh)
+   *   - 13022:       battery power (W)
+   *   - 13023:       battery level (0.1 %)
+   *   - 13024:       battery state of health (0.1 %)
+   *   - 13025:       battery temperature (S16, 0.1 °C)
+   *   - 13026:       daily battery discharge (0.1 kWh)
+   *   - 13036:       daily imported energy (0.1 kWh)
+   *   - 13040:       daily battery charge (0.1 kWh)
+   *   - 13045:       daily exported energy (0.1 kWh)
+   * The inverter has no daily consumption register, it follows from the balance.
+   */
+  readModbusPoints: async function (plant, kind) {
+    const block = await this.readModbusRegisters(plant, 13000, 45);
+    const register = (number) => block[number - 13001];
+    const signed32 = (number) => {
+      const value = register(number) + register(number + 1) * 0x10000;
+      return value >= 0x80000000 ? value - 0x100000000 : value;
+    };
+
+    if (kind === "currentPower") {
+      const dc = await this.readModbusRegisters(plant, 5016, 2);
+      const runningState = register(13001);
+      const batteryPower = register(13022);
+      const exportPower = signed32(13010);
+      return {
+        dp: {
+          p13011: dc[0] + dc[1] * 0x10000,
+          p13119: signed32(13008),
+          p13121: Math.max(exportPower, 0),
+          p13149: Math.max(-exportPower, 0),
+          p13126: runningState & 0x02 ? batteryPower : 0,
+          p13150: runningState & 0x04 ? batteryPower : 0,
+          p13141: register(13023) / 1000,
+          p13142: register(13024) / 1000,
+          p13143: (register(13025) >= 0x8000 ? register(13025) - 0x10000 : register(13025)) / 10
+        },
+        sourcePoints: null
+      };
+    }
+
+    const production = register(13002) * 100;
+    const feedIn = register(13045) * 100;
+    const purchased = register(13036) * 100;
+    const charged = register(13040) * 100;
+    const discharged = register(13026) * 100;
+    return {
+      dp: {
+        p13112: production,
+        p13199: Math.max(production + purchased + discharged - feedIn - charged, 0),
+        p13122: feedIn,
+        p13147: purchased,
+        p13116: register(13017) * 100,
+        p13028: charged,
+        p13029: discharged
+      },
+      sourcePoints: null
+    };
+  },
+
+  /**
+   * readModbusRegisters(plant, address, count):
+   * Reads count input registers (function code 4) from the 0-based address.
+   * Requests of a plant are sent one after the other over one connection.
+   */
+  readModbusRegisters: async function (plant, address, count) {
+    const connection = this.getModbusConnection(plant);
+    const previous = connection.queue;
+    let release;
+    connection.queue = new Promise((resolve) => (release = resolve));
+    await previous;
+    try {
+      return await this.sendModbusRequest(plant, connection, address, count);
+    } finally {
+      release();
+    }
+  },
+
+  /**
+   * getModbusConnection(plant):
+   * The plant's Modbus TCP connection, (re)opened when there is none. It is
+   * kept open between polls; errors close it and fail the pending request.
+   */
+  getModbusConnection: function (plant) {
+    if (!plant.modbus) {
+      plant.modbus = { socket: null, buffer: Buffer.alloc(0), pending: null, transactionId: 0, queue: Promise.resolve() };
+    }
+    const connection = plant.modbus;
+    if (connection.socket && !connection.socket.destroyed) {
+      return connection;
+    }
+
+    const options = Object.assign({}, this.modbusDefaults, plant.config.modbus);
+    if (!options.host) {
+      throw new Error("No modbus.host in config.");
+    }
+    const socket = net.createConnection({ host: options.host, port: options.port });
+    // Events of a replaced socket must not touch the requests of the new one
+    const fail = (error) => {
+      if (connection.socket === socket && connection.pending) {
+        connection.pending.reject(error);
+      }
+    };
+    socket.on("data", (data) => {
+      connection.buffer = Buffer.concat([connection.buffer, data]);
+      this.parseModbusResponses(connection);
+    });
+    socket.on("error", (error) => fail(new Error(`Modbus error: ${error.message}`)));
+    socket.on("close", () => fail(new Error("Modbus connection closed")));
+    connection.socket = socket;
+    connection.buffer = Buffer.alloc(0);
+    return connection;
+  },
+
+  /**
+   * sendModbusRequest(plant, connection, address, count):
+   * Sends one "read input registers" request and resolves with the register
+   * values of the answer, rejects on a Modbus exception or after modbus.timeout.
+   */
+  sendModbusRequest: function (plant, connection, address, count) {
+    const options = Object.assign({}, this.modbusDefaults, plant.config.modbus);
+    connection.transactionId = (connection.transactionId + 1) % 0x10000;
+
+    const request = Buffer.alloc(12);
+    request.writeUInt16BE(connection.transactionId, 0);
+    request.writeUInt16BE(0, 2);       // protocol id
+    request.writeUInt16BE(6, 4);       // length of the rest
+    request.writeUInt8(options.unitId, 6);
+    request.writeUInt8(4, 7);          // read input registers
+    request.writeUInt16BE(address, 8);
+    request.writeUInt16BE(count, 10);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        connection.pending = null;
+        // A late answer would be taken for the next request: start over
+        connection.socket.destroy();
+        reject(new Error(`Modbus timeout reading register ${address + 1}`));
+      }, options.timeout);
+      connection.pending = {
+        transactionId: connection.transactionId,
+        resolve: (registers) => {
+          clearTimeout(timer);
+          connection.pending = null;
+          resolve(registers);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          connection.pending = null;
+          reject(error);
+        }
+      };
+      connection.socket.write(request);
+    });
+  },
+
+  /**
+   * parseModbusResponses(connection):
+   * Takes the complete frames (MBAP header + PDU) out of the receive buffer
+   * and hands the one answering the pending request to it.
+   */
+  parseModbusResponses: function (connection) {
+    while (connection.buffer.length >= 6) {
+      const frameLength = 6 + connection.buffer.readUInt16BE(4);
+      if (connection.buffer.length < frameLength) {
+        return;
+      }
+      const frame = connection.buffer.subarray(0, frameLength);
+      connection.buffer = connection.buffer.subarray(frameLength);
+
+      const pending = connection.pending;
+      if (!pending || frame.readUInt16BE(0) !== pending.transactionId) {
+        continue;
+      }
+      if (frame[7] & 0x80) {
+        pending.reject(new Error(`Modbus exception ${frame[8]}`));
+        continue;
+      }
+      const registers = [];
+      for (let offset = 9; offset < 9 + frame[8]; offset += 2) {
+        registers.push(frame.readUInt16BE(offset));
+      }
+      pending.resolve(registers);
+    }
+  },
+
+  /**
+   * getCustomPoints(plant):
+   * Resolves config.customPoints (once per plant) into point definitions
+   *   [ { id, point, deviceType, unit, scale, decimals, label, mock }, ... ]
+   * An entry is either a name of pointCatalogue, { name, ...overrides } or a
+   * point of its own: { point: "13143", deviceType: "14", label, unit, scale, decimals }.
+   */
+  getCustomPoints: function (plant) {
+    if (plant.customPoints) {
+      return plant.customPoints;
+    }
+    plant.customPoints = (plant.config.customPoints || []).map((entry) => {
+      const options = typeof entry === "string" ? { name: entry } : entry;
+      const known = options.name ? this.pointCatalogue[options.name] : null;
+      if (options.name && !known) {
+        console.warn(`[MMM-SunGrow] Unknown measuring point "${options.name}" in customPoints`);
+        return null;
+      }
+      const definition = Object.assign({ scale: 1, decimals: 1, unit: "", deviceType: this.deviceTypes.storage }, known, options);
+      definition.point = String(definition.point).replace(/^p/, "");
+      definition.deviceType = String(definition.deviceType);
+      definition.id = options.name || `p${definition.point}`;
+      definition.label = definition.label || definition.id;
+      return definition;
+    }).filter((definition) => definition && definition.point !== "undefined");
+    return plant.customPoints;
+  },
+
+  /**
+   * fetchCustomPointsData(plant, sourcePoints):
+   * Reads config.customPoints: the points of the live data device come with
+   * sourcePoints (the device_point of fetchCurrentPowerData()), every other
+   * device type is read with one more /openapi/getDeviceRealTimeData call.
+   * Sends
+   *  { customPoints: [ { id, label, value, unit, decimals }, ... ] }
+   * with value already scaled (null if the device did not report it).
+   */
+  fetchCustomPointsData: async function (plant, sourcePoints) {
+    const definitions = this.getCustomPoints(plant);
+    if (!definitions.length) {
+      return;
+    }
+
+    try {
+      if (!sourcePoints) {
+        // Live data from a local data source: read the devices via iSolarCloud
+        await this.ensureDiscovery(plant);
+      }
+      const source = plant.discovery && sourcePoints ? plant.discovery.source : null;
+      const values = {};
+      const deviceTypes = [...new Set(definitions.map((definition) => definition.deviceType))];
+      for (const deviceType of deviceTypes) {
+        if (source && deviceType === source.deviceType) {
+          values[deviceType] = sourcePoints || {};
+          continue;
+        }
+        const device = plant.discovery && plant.discovery.devices.find((entry) => entry.deviceType === deviceType);
+        if (!device) {
+          if (!plant.lastPayloads["MMM-SunGrow-NOTIFICATION_SUNGROW_CUSTOM_POINTS_DATA_RECEIVED"]) {
+            console.warn(`[MMM-SunGrow] No device of type ${deviceType} in plant ${plant.discovery ? plant.discovery.psId : ""} for customPoints`);
+          }
+          values[deviceType] = {};
+          continue;
+        }
+        const rd = await this.callOpenApi(plant, "getDeviceRealTimeData", {
+          device_type: deviceType,
+          point_id_list: definitions.filter((definition) => definition.deviceType === deviceType).map((definition) => definition.point),
+          ps_key_list: [ device.psKey ]
+        }, "Custom points");
+        values[deviceType] = rd.device_point_list?.[0]?.device_point || {};
+      }
+
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_CUSTOM_POINTS_DATA_RECEIVED",
+        this.transformCustomPoints(definitions, (definition) => values[definition.deviceType][`p${definition.point}`])
+      );
+    } catch (error) {
+      console.error("[MMM-SunGrow] fetchCustomPointsData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * transformCustomPoints(definitions, rawValue):
+   * The CUSTOM_POINTS_DATA payload, rawValue(definition) returns the value
+   * as reported by the device.
+   */
+  transformCustomPoints: function (definitions, rawValue) {
+    return {
+      customPoints: definitions.map((definition) => {
+        const value = parseFloat(rawValue(definition));
+        return {
+          id: definition.id,
+          label: definition.label,
+          value: isNaN(value) ? null : value * definition.scale,
+          unit: definition.unit,
+          decimals: definition.decimals
+        };
+      })
+    };
+  },
+
+  /**
+   * fetchInverterData(plant):
+   * Calls /openapi/getDeviceRealTimeData for all inverters of the plant (or the
+   * hybrid inverter = energy storage system if there is no separate one) and sends
+   *  {
+   *    inverters: [
+   *      { sn, name, model, firmware, temperature, state,
+   *        mppts: [ { index, voltage, current, power, weak }, ... ] }, ...
+   *    ]
+   *  }
+   */
+  fetchInverterData: async function (plant) {
+    try {
+      this.logDebug(plant, "[MMM-SunGrow] fetchInverterData() - calling getDeviceRealTimeData for the inverters");
+
+      const devices = plant.discovery.devices;
+      let inverters = devices.filter((device) => device.deviceType === this.deviceTypes.inverter);
+      if (!inverters.length) {
+        inverters = devices.filter((device) => device.deviceType === this.deviceTypes.storage);
+      }
+      if (!inverters.length) {
+        console.warn("[MMM-SunGrow] No inverter found in the device list");
+        return;
+      }
+
+      const deviceType = inverters[0].deviceType;
+      const points = this.inverterPoints[deviceType];
+      const rd = await this.callOpenApi(plant, "getDeviceRealTimeData", {
+        device_type: deviceType,
+        point_id_list: [points.temperature].concat(...points.mppts),
+        ps_key_list: inverters.map((device) => device.psKey)
+      }, "Inverter data");
+
+      const list = rd.device_point_list || [];
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_INVERTER_DATA_RECEIVED",
+        {
+          inverters: inverters.map((device, index) => {
+            const dp = (list.find((entry) => entry.device_point?.ps_key === device.psKey) || list[index] || {}).device_point || {};
+            return this.transformInverterData(plant, device, dp, points);
+          })
+        }
+      );
+
+    } catch (error) {
+      console.error("[MMM-SunGrow] fetchInverterData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * transformInverterData(plant, device, dp, points):
+   * One entry of the INVERTER_DATA payload from the inverter's device_point.
+   * MPPTs the inverter does not report are left out.
+   * state: "running", "standby" (no DC power), "alarm", "fault" or "offline"
+   */
+  transformInverterData: function (plant, device, dp, points) {
+    const value = (id) => parseFloat(dp[`p${id}`]);
+    const mppts = points.mppts
+      .map(([voltageId, currentId], index) => ({ index: index + 1, voltage: value(voltageId), current: value(currentId) }))
+      .filter((mppt) => !isNaN(mppt.voltage) || !isNaN(mppt.current))
+      .map((mppt) => {
+        const voltage = mppt.voltage || 0;
+        const current = mppt.current || 0;
+        return { index: mppt.index, voltage, current, power: voltage * current, weak: false };
+      });
+    this.markWeakStrings(mppts, plant.config.weakStringThreshold || 0.7);
+
+    let state = "running";
+    if (String(dp.dev_status) === "0") {
+      state = "offline";
+    } else if (String(dp.dev_fault_status) === "1") {
+      state = "fault";
+    } else if (String(dp.dev_fault_status) === "2") {
+      state = "alarm";
+    } else if (!mppts.some((mppt) => mppt.power > 0)) {
+      state = "standby";
+    }
+
+    const temperature = value(points.temperature);
+    return {
+      sn: device.sn,
+      name: device.name,
+      model: device.model,
+      firmware: device.firmware,
+      temperature: isNaN(temperature) ? null : temperature,
+      state,
+      mppts
+    };
+  },
+
+  /**
+   * markWeakStrings(mppts, threshold):
+   * Sets weak on every MPPT with less than threshold times the median power of
+   * its siblings. Below 50 W median (dawn, dusk) nothing is marked.
+   */
+  markWeakStrings: function (mppts, threshold) {
+    if (mppts.length < 2) {
+      return;
+    }
+    mppts.forEach((mppt) => {
+      const siblings = mppts.filter((other) => other !== mppt).map((other) => other.power).sort((a, b) => a - b);
+      const middle = Math.floor(siblings.length / 2);
+      const median = siblings.length % 2 ? siblings[middle] : (siblings[middle - 1] + siblings[middle]) / 2;
+      mppt.weak = median >= 50 && mppt.power < median * threshold;
+    });
+  },
+
+  /**
+   * fetchAlarmsData(plant):
+   * Calls /openapi/getFaultAlarmInfo for the plant's faults and alarms and sends
+   * the active ones (not recovered yet) with at least config.alarmMinSeverity:
+   *  {
+   *    alarms: [ { id, code, severity, device, message, since, alerted }, ... ]
+   *  }
+   * An alarm that recovered is simply missing from the next payload.
+   * alerted is set by sendData().
+   */
+  fetchAlarmsData: async function (plant) {
+    try {
+      this.logDebug(plant, "[MMM-SunGrow] fetchAlarmsData() - calling getFaultAlarmInfo");
+
+      const rd = await this.callOpenApi(plant, "getFaultAlarmInfo", {
+        curPage: 1,
+        size: 100,
+        ps_id: plant.discovery.psId
+      }, "Alarms");
+
+      const active = (rd.pageList || [])
+        .filter((entry) => !entry.recover_time)
+        .map((entry) => ({
+          id: String(entry.fault_id || entry.id || `${entry.ps_key}|${entry.fault_code}|${entry.create_time}`),
+          code: entry.fault_code ? String(entry.fault_code) : "",
+          severity: this.alarmSeverities[String(entry.fault_level)] || "warning",
+          device: entry.device_name || entry.device_sn || entry.ps_key || "",
+          message: entry.fault_name || entry.fault_reason || "",
+          since: entry.create_time || null
+        }));
+
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_RECEIVED",
+        { alarms: this.filterAlarms(plant, active) }
+      );
+
+    } catch (error) {
+      console.error("[MMM-SunGrow] fetchAlarmsData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * filterAlarms(plant, alarms):
+   * Drops alarms below config.alarmMinSeverity and sorts the rest by severity.
+   */
+  filterAlarms: function (plant, alarms) {
+    const order = Object.values(this.alarmSeverities);
+    const minimum = order.indexOf(plant.config.alarmMinSeverity);
+    return alarms
+      .filter((alarm) => minimum === -1 || order.indexOf(alarm.severity) <= minimum)
+      .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+  },
+
+  /**
+   * transformCurrentPowerData(dp):
+   * Turns the device_point of the live measuring points into the old
+   * "siteCurrentPowerFlow" structure the templates expect, plus the power
+   * balance as source -> sink flows (see balancePowerFlows()).
+   */
+  transformCurrentPowerData: function (dp) {
+    // 1) Battery charging/discharging
+    const batteryChargingPower = parseFloat(dp.p13126) || 0;
+    const batteryDischargingPower = parseFloat(dp.p13150) || 0;
+    const batterySoCFrac = parseFloat(dp.p13141) || 0;
+    const batterySoCPercent = batterySoCFrac * 100;
+    // 2) Load Power
+    const loadPowerW = parseFloat(dp.p13119) || 0;
+    // 3) PV Power
+    const pvPowerW = parseFloat(dp.p13011) || 0;
+    // 4) Grid (FeedIn vs. Purchased)
+    const feedInPower = parseFloat(dp.p13121) || 0;
+    const purchasedPower = parseFloat(dp.p13149) || 0;
+    // Net battery and grid power, in case both directions are reported at once
+    const netBatteryPower = batteryChargingPower - batteryDischargingPower;
+    const netGridPower = feedInPower - purchasedPower;
+
+    // Split PV, battery and grid into source -> sink flows
+    const power = {
+      pv: pvPowerW,
+      load: loadPowerW,
+      charging: Math.max(netBatteryPower, 0),
+      discharging: Math.max(-netBatteryPower, 0),
+      feedIn: Math.max(netGridPower, 0),
+      purchase: Math.max(-netGridPower, 0)
+    };
+    const flows = this.balancePowerFlows(power);
+
+    // Battery state like the old API: Charging, Discharging or Idle
+    let batteryStatus = "Idle";
+    if (netBatteryPower > 0) {
+      batteryStatus = "Charging";
+    } else if (netBatteryPower < 0) {
+      batteryStatus = "Discharging";
+    }
+    // Temperature (°C) and state of health (fraction) only where the system reports them
+    const batteryTemperature = dp.p13143 === undefined || dp.p13143 === null ? null : parseFloat(dp.p13143);
+    const batteryHealth = dp.p13142 === undefined || dp.p13142 === null ? null : parseFloat(dp.p13142) * 100;
+
+    // Build final structure
+    const transformed = {
+      siteCurrentPowerFlow: {
+        STORAGE: {
+          currentPower: Math.abs(netBatteryPower),
+          status: batteryStatus,
+          chargeLevel: batterySoCPercent,
+          temperature: isNaN(batteryTemperature) ? null : batteryTemperature,
+          health: isNaN(batteryHealth) ? null : batteryHealth
+        },
+        PV:      { currentPower: pvPowerW,      status: pvPowerW > 0 ? "Active" : "Idle" },
+        LOAD:    { currentPower: loadPowerW,    status: "Active" },
+        GRID:    { currentPower: Math.abs(netGridPower), status: netGridPower !== 0 ? "Active" : "Idle" },
+        flows: flows,
+        unit: "W"
+      }
+    };
+
+    // Without energy storage system there is no state of charge => pv template
+    if (dp.p13141 === undefined) {
+      delete transformed.siteCurrentPowerFlow.STORAGE;
+    }
+
+    return transformed;
+  },
+
+  /**
+   * balancePowerFlows(power):
+   * Splits the sources (pv, discharging, purchase) over the sinks (load,
+   * charging, feedIn), all in W and >= 0. PV supplies the house first, then
+   * the battery, then the grid; the battery supplies the house before the
+   * grid, and purchased power goes to the house before the battery.
+   * Returns [ { from, to, power }, ... ] with from/to out of PV, STORAGE,
+   * GRID and LOAD; flows without power are left out.
+   */
+  balancePowerFlows: function (power) {
+    const sources = { PV: power.pv, STORAGE: power.discharging, GRID: power.purchase };
+    const sinks = { LOAD: power.load, STORAGE: power.charging, GRID: power.feedIn };
+    const order = [
+      ["PV", "LOAD"],
+      ["STORAGE", "LOAD"],
+      ["GRID", "LOAD"],
+      ["PV", "STORAGE"],
+      ["GRID", "STORAGE"],
+      ["PV", "GRID"],
+      ["STORAGE", "GRID"]
+    ];
+
+    const flows = [];
+    order.forEach(([from, to]) => {
+      const flow = Math.min(sources[from], sinks[to]);
+      if (flow > 0) {
+        flows.push({ from, to, power: flow });
+        sources[from] -= flow;
+        sinks[to] -= flow;
+      }
+    });
+    return flows;
+  },
+
+   /**
+   * fetchDayEnergyData(plant):
+   * Calls /openapi/getDeviceRealTimeData with the measuring points for daily data:
+   *  - 13112 = daily PV Production (Wh)
+   *  - 13199 = daily Load Consumption (Wh)
+   *  - 13122 = daily Feed-In (Wh)
+   *  - 13147 = daily Purchased (Wh)
+   *  - 13116 = daily Direct Energy Consumption / self-consumption (Wh)
+   *
+   * Then transforms to:
+   *  {
+   *    energyDetails: {
+   *      meters: [
+   *        { type: "Production",   values: [{ value: ... }] },
+   *        { type: "Consumption",  values: [{ value: ... }] },
+   *        { type: "FeedIn",       values: [{ value: ... }] },
+   *        { type: "Purchased",    values: [{ value: ... }] },
+   *        { type: "SelfConsumption", values: [{ value: ... }] }
+   *      ]
+   *    }
+   *  }
+   */
+  fetchDayEnergyData: async function (plant) {
+    try {
+      this.logDebug(plant, "[MMM-SunGrow] fetchDayEnergyData() - reading daily stats");
+
+      // 1) Read the daily measuring points from the data source, see readPoints()
+      const { dp } = await this.readPoints(plant, "dayEnergy");
+
+      // 2) Without a device_point there is nothing to show
+      if (!dp) {
+        console.warn("[MMM-SunGrow] No device_point in day energy response");
+        return;
+      }
+
+      // 3) Transform to the old structure and keep the totals in the local history
+      plant.points.dayEnergy = dp;
+      const transformed = this.transformDayEnergyData(dp);
+      this.recordDayTotals(plant, dp, new Date());
+
+      // 4) Send to the front-end
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED",
+        transformed
+      );
+
+    } catch (error) {
       console.error("[MMM-SunGrow] fetchDayEnergyData error:", error);
-      this.sendSocketNotification("SUN_GROW_ERROR", { message: error.message });
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * transformDayEnergyData(dp):
+   * Turns the device_point of the daily measuring points into the old
+   * "energyDetails" structure with one meter per energy type.
+   */
+  transformDayEnergyData: function (dp) {
+    // 1) Convert the measuring points to floats, defaulting to 0 if missing
+    const dailyProductionWh = parseFloat(dp.p13112) || 0;  // daily PV Production
+    const dailyConsumptionWh = parseFloat(dp.p13199) || 0; // daily Load Consumption
+    const dailyFeedInWh = parseFloat(dp.p13122) || 0;      // daily Feed-in
+    const dailyPurchasedWh = parseFloat(dp.p13147) || 0;   // daily Purchased
+    const dailySelfConsWh = parseFloat(dp.p13116) || 0;    // daily direct self-consumption
+
+    // 2) Transform to the old structure:
+    const transformed = {
+      energyDetails: {
+        meters: [
+          { type: "Production",      values: [{ value: dailyProductionWh }] },
+          { type: "Consumption",     values: [{ value: dailyConsumptionWh }] },
+          { type: "FeedIn",          values: [{ value: dailyFeedInWh }] },
+          { type: "Purchased",       values: [{ value: dailyPurchasedWh }] },
+          { type: "SelfConsumption", values: [{ value: dailySelfConsWh }] }
+        ]
+      }
+    };
+
+    // 3) Battery throughput, only systems with energy storage report it
+    if (dp.p13028 !== undefined || dp.p13029 !== undefined) {
+      transformed.energyDetails.meters.push(
+        { type: "BatteryCharge",    values: [{ value: parseFloat(dp.p13028) || 0 }] },
+        { type: "BatteryDischarge", values: [{ value: parseFloat(dp.p13029) || 0 }] }
+      );
+    }
+
+    return transformed;
+  },
+
+  /**
+   * fetchOverviewData(plant):
+   * Combines two plant level calls into the old "overview" structure:
+   *  - /openapi/getPowerStationRealTimeData for the plant points
+   *      83022 = daily yield of plant (Wh)
+   *      83024 = total yield of plant (Wh)
+   *      83033 = current plant power (W)
+   *  - /openapi/getDevicePointsDayMonthYearDataList for the month (data_type 3)
+   *    and year (data_type 4) aggregation of the daily yield
+   *
+   * Then transforms to:
+   *  {
+   *    overview: {
+   *      lastUpdateTime: "YYYY-MM-DD HH:mm:ss",
+   *      lifeTimeData:  { energy: ... },
+   *      lastYearData:  { energy: ... },
+   *      lastMonthData: { energy: ... },
+   *      lastDayData:   { energy: ... },
+   *      currentPower:  { power: ... }
+   *    }
+   *  }
+   */
+  fetchOverviewData: async function (plant) {
+    try {
+      this.logDebug(plant, "[MMM-SunGrow] fetchOverviewData() - calling getPowerStationRealTimeData for plant totals");
+
+      // 1) Plant real time points (daily yield, total yield, current power)
+      const rd = await this.callOpenApi(plant, "getPowerStationRealTimeData", {
+        point_id_list: [
+          "83022", // daily yield of plant
+          "83024", // total yield of plant
+          "83033"  // plant power
+        ],
+        ps_id_list: [ plant.discovery.psId ]
+      }, "Overview data");
+
+      const dp = rd.device_point_list?.[0]?.device_point;
+      if (!dp) {
+        console.warn("[MMM-SunGrow] No device_point in overview response");
+        return;
+      }
+
+      const dailyYieldWh = parseFloat(dp.p83022) || 0;
+      const totalYieldWh = parseFloat(dp.p83024) || 0;
+      const plantPowerW = parseFloat(dp.p83033) || 0;
+
+      // 2) Month and year aggregation of the daily yield
+      const now = new Date();
+      const month = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, "0")}`;
+      const year = `${now.getFullYear()}`;
+      const monthlyYieldWh = await this.fetchPeriodYield(plant, "3", month, month);
+      const yearlyYieldWh = await this.fetchPeriodYield(plant, "4", year, year);
+
+      // 3) Transform to the old structure. The aggregations lag behind the
+      //    real time points, so never report a period smaller than the one it contains.
+      const monthEnergy = Math.max(monthlyYieldWh, dailyYieldWh);
+      const yearEnergy = Math.max(yearlyYieldWh, monthEnergy);
+      const transformed = {
+        overview: {
+          lastUpdateTime: this.formatDateTime(now),
+          lifeTimeData: { energy: Math.max(totalYieldWh, yearEnergy) },
+          lastYearData: { energy: yearEnergy },
+          lastMonthData: { energy: monthEnergy },
+          lastDayData: { energy: dailyYieldWh },
+          currentPower: { power: plantPowerW },
+          measuredBy: "INVERTER"
+        }
+      };
+
+      // 4) Send to the front-end
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_RECEIVED",
+        transformed
+      );
+
+    } catch (error) {
+      console.error("[MMM-SunGrow] fetchOverviewData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * fetchPeriodYield(plant, dataType, startTime, endTime):
+   * Calls /openapi/getDevicePointsDayMonthYearDataList for the plant's daily
+   * yield (83022) and sums all returned values in Wh.
+   *  - dataType "3" = month aggregation, times formatted as YYYYMM
+   *  - dataType "4" = year aggregation, times formatted as YYYY
+   */
+  fetchPeriodYield: async function (plant, dataType, startTime, endTime) {
+    const rd = await this.callOpenApi(plant, "getDevicePointsDayMonthYearDataList", {
+      data_point: "p83022",
+      data_type: dataType,
+      end_time: endTime,
+      order: "0",
+      ps_key_list: [ plant.discovery.psId ],
+      query_type: "1",
+      start_time: startTime
+    }, "Period yield");
+
+    // result_data: { "<ps_key>": { "p83022": [ { time_stamp, "2": value }, ... ] } }
+    const series = rd[plant.discovery.psId]?.p83022 || [];
+    return series.reduce((sum, entry) => sum + this.getSeriesValue(entry), 0);
+  },
+
+  /**
+   * getSeriesValue(entry):
+   * The value of one entry of getDevicePointsDayMonthYearDataList, i.e. the
+   * first numeric field besides time_stamp (0 if there is none).
+   */
+  getSeriesValue: function (entry) {
+    const value = Object.keys(entry)
+      .filter((key) => key !== "time_stamp")
+      .map((key) => parseFloat(entry[key]))
+      .find((num) => !isNaN(num));
+    return value || 0;
+  },
+
+  /**
+   * fetchEnergyHistoryData(plant):
+   * Calls /openapi/getDevicePointsDayMonthYearDataList twice for the daily
+   * energy points (production, consumption, feed-in, purchased):
+   *  - data_type 2: one value per day of the current month
+   *  - data_type 3: one value per month of the current year
+   * and sends
+   *  {
+   *    energyHistory: {
+   *      month: { period: "YYYY-MM", bars: [ { label, production, consumption, feedIn, purchased }, ... ] },
+   *      year:  { period: "YYYY",    bars: [ ... one per month ... ] }
+   *    }
+   *  }
+   */
+  fetchEnergyHistoryData: async function (plant) {
+    try {
+      this.logDebug(plant, "[MMM-SunGrow] fetchEnergyHistoryData() - calling getDevicePointsDayMonthYearDataList for month and year");
+
+      const now = new Date();
+      const pad = (num) => String(num).padStart(2, "0");
+      const year = `${now.getFullYear()}`;
+      const month = `${year}${pad(now.getMonth() + 1)}`;
+      const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+
+      const days = await this.fetchEnergySeries(plant, "2", `${month}01`, `${month}${pad(daysInMonth)}`);
+      const months = await this.fetchEnergySeries(plant, "3", `${year}01`, `${year}12`);
+
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_RECEIVED",
+        this.buildEnergyHistory(now, days, months)
+      );
+      this.sendFinancial(plant);
+
+    } catch (error) {
+      // The history endpoints are slow or down: show what the local store has
+      const history = this.getHistory(plant);
+      if (history && Object.keys(history.days).length) {
+        console.warn("[MMM-SunGrow] fetchEnergyHistoryData failed, using the local history:", error.message);
+        const { days, months } = this.getStoredSeries(history);
+        this.sendData(
+          plant,
+          "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_RECEIVED",
+          this.buildEnergyHistory(new Date(), days, months)
+        );
+        this.sendFinancial(plant);
+        return;
+      }
+      console.error("[MMM-SunGrow] fetchEnergyHistoryData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * buildEnergyHistory(now, days, months):
+   * The ENERGY_HISTORY_DATA payload for the month and year of now from the
+   * daily (YYYYMMDD) and monthly (YYYYMM) series, see fetchEnergySeries().
+   */
+  buildEnergyHistory: function (now, days, months) {
+    const pad = (num) => String(num).padStart(2, "0");
+    const year = `${now.getFullYear()}`;
+    const month = `${year}${pad(now.getMonth() + 1)}`;
+    const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+
+    const toBars = (series, count, stamp) => Array.from({ length: count }, (unused, index) => {
+      const values = series[stamp(index + 1)] || {};
+      return {
+        label: String(index + 1),
+        production: values.production || 0,
+        consumption: values.consumption || 0,
+        feedIn: values.feedIn || 0,
+        purchased: values.purchased || 0
+      };
+    });
+
+    return {
+      energyHistory: {
+        month: { period: `${year}-${pad(now.getMonth() + 1)}`, bars: toBars(days, daysInMonth, (day) => `${month}${pad(day)}`) },
+        year: { period: year, bars: toBars(months, 12, (index) => `${year}${pad(index)}`) }
+      }
+    };
+  },
+
+  /**
+   * fetchEnergySeries(plant, dataType, startTime, endTime):
+   * Daily energy points of the plant's source device, aggregated per day
+   * (dataType "2", YYYYMMDD) or month (dataType "3", YYYYMM). Returns
+   *   { "<time_stamp>": { production, consumption, feedIn, purchased } } in Wh.
+   */
+  fetchEnergySeries: async function (plant, dataType, startTime, endTime) {
+    const source = plant.discovery.source;
+    const points = source.kind === "plant"
+      ? { production: "p83022", consumption: "p83118", feedIn: "p83072", purchased: "p83102" }
+      : { production: "p13112", consumption: "p13199", feedIn: "p13122", purchased: "p13147" };
+
+    const rd = await this.callOpenApi(plant, "getDevicePointsDayMonthYearDataList", {
+      data_point: Object.values(points).join(","),
+      data_type: dataType,
+      end_time: endTime,
+      order: "0",
+      ps_key_list: [ source.psKey ],
+      query_type: "1",
+      start_time: startTime
+    }, "Energy history");
+
+    // result_data: { "<ps_key>": { "p13112": [ { time_stamp, "2": value }, ... ], ... } }
+    const result = {};
+    Object.keys(points).forEach((field) => {
+      (rd[source.psKey]?.[points[field]] || []).forEach((entry) => {
+        const stamp = String(entry.time_stamp || "").slice(0, dataType === "2" ? 8 : 6);
+        result[stamp] = result[stamp] || {};
+        result[stamp][field] = this.getSeriesValue(entry);
+      });
+    });
+    return result;
+  },
+
+  /**
+   * fetchPowerCurveData(plant):
+   * Calls /openapi/getDevicePointMinuteDataList for today's minute data of the
+   * live measuring points (every config.powerCurveInterval minutes) and fills
+   * the plant's power curve with it, so the chart survives a restart mid-day.
+   * The live samples of fetchCurrentPowerData() top it up in between.
+   */
+  fetchPowerCurveData: async function (plant) {
+    try {
+      this.logDebug(plant, "[MMM-SunGrow] fetchPowerCurveData() - calling getDevicePointMinuteDataList for today's curve");
+
+      const source = plant.discovery.source;
+      const now = new Date();
+      const stamp = (date) => this.formatDateTime(date).replace(/[-: ]/g, "");
+      const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      const points = source.kind === "plant"
+        ? this.plantPoints.currentPower
+        : ["13126", "13150", "13141", "13119", "13011", "13121", "13149"];
+
+      const rd = await this.callOpenApi(plant, "getDevicePointMinuteDataList", {
+        end_time_stamp: stamp(now),
+        is_get_data_acquisition_time: "1",
+        minute_interval: String(plant.config.powerCurveInterval || 5),
+        points: points.map((id) => `p${id}`).join(","),
+        ps_key_list: [ source.psKey ],
+        start_time_stamp: stamp(midnight)
+      }, "Power curve");
+
+      // result_data: { "<ps_key>": [ { time_stamp: "YYYYMMDDHHmmss", p13011: "...", ... }, ... ] }
+      const entries = rd[source.psKey] || [];
+      entries.forEach((entry) => {
+        const ts = String(entry.time_stamp || "");
+        if (ts.length < 12) {
+          return;
+        }
+        const time = new Date(ts.slice(0, 4), ts.slice(4, 6) - 1, ts.slice(6, 8), ts.slice(8, 10), ts.slice(10, 12));
+        const dp = source.kind === "plant" ? this.normalizePlantPoints(entry, "currentPower") : entry;
+        this.addCurveSample(plant, dp, time, false);
+      });
+
+      this.sendPowerCurve(plant);
+
+    } catch (error) {
+      console.error("[MMM-SunGrow] fetchPowerCurveData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * addCurveSample(plant, dp, time, overwrite = true):
+   * Stores the live measuring points of dp as a sample of today's power curve,
+   * one sample per config.powerCurveInterval minutes. The curve starts over at
+   * midnight. Signs: grid > 0 = purchase, battery > 0 = discharging, so
+   * everything flowing into the home is positive.
+   */
+  addCurveSample: function (plant, dp, time, overwrite = true) {
+    if (!plant.config.showPowerCurve) {
+      return;
+    }
+    const date = this.formatDateTime(time).slice(0, 10);
+    if (!plant.curve || plant.curve.date !== date) {
+      plant.curve = { date, samples: {} };
+    }
+
+    const interval = plant.config.powerCurveInterval || 5;
+    const minute = Math.floor((time.getHours() * 60 + time.getMinutes()) / interval) * interval;
+    if (!overwrite && plant.curve.samples[minute]) {
+      return;
+    }
+
+    plant.curve.samples[minute] = Object.assign({ minute }, this.getPowerSample(dp));
+  },
+
+  /**
+   * getPowerSample(dp):
+   * The live measuring points as { pv, load, grid, battery, soc } in W and %,
+   * signed like the power curve.
+   */
+  getPowerSample: function (dp) {
+    const value = (id) => parseFloat(dp[id]) || 0;
+    return {
+      pv: value("p13011"),
+      load: value("p13119"),
+      grid: value("p13149") - value("p13121"),
+      battery: value("p13150") - value("p13126"),
+      soc: dp.p13141 === undefined ? null : value("p13141") * 100
+    };
+  },
+
+  /**
+   * sendPowerCurve(plant):
+   * Sends today's power curve as
+   *  { powerCurve: { date, interval, samples: [ { minute, pv, load, grid, battery, soc }, ... ] } }
+   */
+  sendPowerCurve: function (plant) {
+    if (!plant.curve) {
+      return;
+    }
+    this.sendData(
+      plant,
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_POWER_CURVE_DATA_RECEIVED",
+      {
+        powerCurve: {
+          date: plant.curve.date,
+          interval: plant.config.powerCurveInterval || 5,
+          samples: Object.values(plant.curve.samples).sort((a, b) => a.minute - b.minute)
+        }
+      }
+    );
+  },
+
+  /**
+   * getHistory(plant):
+   * The plant's local history, loaded from history/plant-<psId>.json on first
+   * use, from a file named after the Modbus host and unit with a local data
+   * source (no discovery needed). Mock plants and config.historyStore off keep
+   * it in memory only, so the comparison and the money still cover the days
+   * since the start. Returns null before a cloud plant is discovered.
+   *  {
+   *    file,
+   *    days: { "YYYY-MM-DD": { production, consumption, feedIn, purchased, selfConsumption } },  // Wh
+   *    snapshots: [ { time, pv, load, grid, battery, soc }, ... ]                                 // W, %
+   *  }
+   */
+  getHistory: function (plant) {
+    if (plant.history) {
+      return plant.history;
+    }
+    const local = this.getDataSource(plant).local;
+    if (!plant.config.mockData && !local && !plant.discovery) {
+      return null;
+    }
+
+    // e.g. plant-modbus_192.168.1.50_502_1.json
+    const name = local ? plant.key.replace(/[^\w.-]+/g, "_") : plant.discovery && plant.discovery.psId;
+    plant.history = {
+      file: plant.config.mockData || plant.config.historyStore === false ? null : path.join(__dirname, "history", `plant-${name}.json`),
+      days: {},
+      snapshots: [],
+      writing: Promise.resolve()
+    };
+    if (plant.history.file && fs.existsSync(plant.history.file)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(plant.history.file, "utf8"));
+        plant.history.days = stored.days || {};
+        plant.history.snapshots = stored.snapshots || [];
+        console.log(`[MMM-SunGrow] Loaded ${Object.keys(plant.history.days).length} days of history from ${plant.history.file}`);
+      } catch (error) {
+        console.error(`[MMM-SunGrow] Could not read ${plant.history.file}, starting a new history:`, error.message);
+      }
+    }
+    return plant.history;
+  },
+
+  /**
+   * saveHistory(plant, now):
+   * Drops what is older (counted from now) than config.historyRetentionDays (daily totals) and
+   * config.snapshotRetentionDays (snapshots), then writes the history file.
+   * Writes are queued and go through a temporary file, so a crash never
+   * leaves a half written history behind.
+   */
+  saveHistory: function (plant, now) {
+    const history = plant.history;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const oldestDay = this.formatDateTime(new Date(now.getTime() - (plant.config.historyRetentionDays || 400) * dayMs)).slice(0, 10);
+    Object.keys(history.days)
+      .filter((date) => date < oldestDay)
+      .forEach((date) => delete history.days[date]);
+    const oldestSnapshot = now.getTime() - (plant.config.snapshotRetentionDays || 7) * dayMs;
+    history.snapshots = history.snapshots.filter((snapshot) => snapshot.time >= oldestSnapshot);
+
+    if (!history.file) {
+      return;
+    }
+    const content = JSON.stringify({ days: history.days, snapshots: history.snapshots });
+    history.writing = history.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(history.file), { recursive: true });
+        await fs.promises.writeFile(`${history.file}.tmp`, content);
+        await fs.promises.rename(`${history.file}.tmp`, history.file);
+      })
+      .catch((error) => console.error(`[MMM-SunGrow] Could not write ${history.file}:`, error.message));
+  },
+
+  /**
+   * recordSnapshot(plant, dp, time):
+   * Keeps a power snapshot of the live measuring points every
+   * config.snapshotInterval minutes.
+   */
+  recordSnapshot: function (plant, dp, time) {
+    const history = this.getHistory(plant);
+    if (!history) {
+      return;
+    }
+    const last = history.snapshots[history.snapshots.length - 1];
+    if (last && time.getTime() - last.time < (plant.config.snapshotInterval || 15) * 60 * 1000) {
+      return;
+    }
+    history.snapshots.push(Object.assign({ time: time.getTime() }, this.getPowerSample(dp)));
+    this.saveHistory(plant, time);
+  },
+
+  /**
+   * recordDayTotals(plant, dp, time):
+   * Stores the daily energy points as the totals of time's day and sends the
+   * comparison with yesterday, last year and the best days (HISTORY_DATA).
+   * With config.tariff the day's money is updated and sent (FINANCIAL_DATA).
+   * The inverter resets its daily counters on its own schedule: shortly after
+   * midnight the totals may still belong to yesterday, see getCountersDate().
+   */
+  recordDayTotals: function (plant, dp, time) {
+    const history = this.getHistory(plant);
+    if (!history) {
+      return;
+    }
+    const totals = {
+      production: parseFloat(dp.p13112) || 0,
+      consumption: parseFloat(dp.p13199) || 0,
+      feedIn: parseFloat(dp.p13122) || 0,
+      purchased: parseFloat(dp.p13147) || 0,
+      selfConsumption: parseFloat(dp.p13116) || 0
+    };
+    const date = this.getCountersDate(history.days, time, totals);
+    const previous = history.days[date];
+    history.days[date] = totals;
+    if (plant.config.tariff) {
+      history.days[date].money = this.recordMoney(plant, previous, history.days[date], time);
+    }
+    // the expected total of fetchForecastData() stays with the day
+    if (previous && previous.expected !== undefined) {
+      history.days[date].expected = previous.expected;
+    }
+    this.saveHistory(plant, time);
+
+    this.sendData(
+      plant,
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_HISTORY_DATA_RECEIVED",
+      this.compareHistory(history.days, date)
+    );
+    this.sendFinancial(plant, date);
+  },
+
+  /**
+   * sendFinancial(plant, date):
+   * Sends the money of date, its month and its year (FINANCIAL_DATA) with
+   * config.tariff. Without date the one of the last FINANCIAL_DATA, so new
+   * energy history data can fill the month and year.
+   */
+  sendFinancial: function (plant, date) {
+    const history = this.getHistory(plant);
+    const last = plant.lastPayloads["MMM-SunGrow-NOTIFICATION_SUNGROW_FINANCIAL_DATA_RECEIVED"];
+    date = date || (last && last.financial.date);
+    if (!plant.config.tariff || !history || !date) {
+      return;
+    }
+    this.sendData(
+      plant,
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_FINANCIAL_DATA_RECEIVED",
+      this.summarizeMoney(plant, history.days, date)
+    );
+  },
+
+  /**
+   * getCountersDate(days, time, totals):
+   * The day the daily counters read at time belong to. While today has no
+   * totals yet they stay on yesterday if they equal yesterday's totals (not
+   * reset, nothing counted since) or, within countersResetWindow after
+   * midnight, if none of them dropped. Else they belong to time's day.
+   */
+  getCountersDate: function (days, time, totals) {
+    const date = this.formatDateTime(time).slice(0, 10);
+    const day = new Date(`${date}T12:00:00`);
+    day.setDate(day.getDate() - 1);
+    const yesterday = this.formatDateTime(day).slice(0, 10);
+    const last = days[yesterday];
+    if (days[date] || !last || !last.consumption) {
+      return date;
+    }
+    const fields = Object.keys(totals);
+    const unchanged = fields.every((field) => totals[field] === last[field]);
+    const sinceMidnight = time.getTime() - new Date(`${date}T00:00:00`).getTime();
+    const reset = fields.some((field) => totals[field] < last[field]);
+    return unchanged || (sinceMidnight < this.countersResetWindow && !reset) ? yesterday : date;
+  },
+
+  /**
+   * recordMoney(plant, previous, totals, time):
+   * Prices the energy since the previous totals of the day at the tariff of
+   * time (see getPrice()) and adds it to the day's money:
+   *   { cost, revenue, savings, partial } in config.tariff.currency
+   * cost: purchased energy, revenue: feed-in, savings: consumption covered by
+   * own energy (PV and battery) instead of buying it.
+   * The first totals after the start hold the whole day so far. Only a flat
+   * tariff prices them right: with time-of-use windows or a price file they
+   * are just the baseline and the day is partial.
+   */
+  recordMoney: function (plant, previous, totals, time) {
+    const tariff = Object.assign({}, this.tariffDefaults, plant.config.tariff);
+    const flat = !tariff.priceFile && !(tariff.timeOfUse || []).length;
+    const money = Object.assign({ cost: 0, revenue: 0, savings: 0 }, previous && previous.money);
+    // A new day while running starts at zero, so there is nothing unpriced
+    const baseline = previous || (plant.pricedDay ? {} : null);
+    plant.pricedDay = true;
+    if (!baseline && !flat) {
+      money.partial = true;
+      return money;
+    }
+
+    const price = this.getPrice(plant, time);
+    const delta = (field) => Math.max(totals[field] - (baseline ? baseline[field] || 0 : 0), 0) / 1000;
+    money.cost += delta("purchased") * price.purchase;
+    money.revenue += delta("feedIn") * price.feedIn;
+    money.savings += Math.max(delta("consumption") - delta("purchased"), 0) * price.purchase;
+    return money;
+  },
+
+  /**
+   * getPrice(plant, time):
+   * Purchase and feed-in price per kWh at time: the entry of the price file
+   * (dynamic tariffs) covering time, else the first matching time-of-use
+   * window, else the flat tariff.
+   */
+  getPrice: function (plant, time) {
+    const tariff = Object.assign({}, this.tariffDefaults, plant.config.tariff);
+    const price = { purchase: tariff.purchase, feedIn: tariff.feedIn };
+
+    const minutes = time.getHours() * 60 + time.getMinutes();
+    const toMinutes = (clock) => {
+      const [hours, mins] = String(clock).split(":").map(Number);
+      return hours * 60 + (mins || 0);
+    };
+    const timeWindow = (tariff.timeOfUse || []).find((entry) => {
+      if (entry.days && !entry.days.includes(time.getDay())) {
+        return false;
+      }
+      const from = toMinutes(entry.from);
+      const to = toMinutes(entry.to);
+      // Windows like 22:00 - 06:00 run over midnight
+      return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    });
+    if (timeWindow) {
+      Object.assign(price, this.pickPrices(timeWindow));
+    }
+
+    const entry = this.getPriceFileEntry(plant, tariff.priceFile, time);
+    if (entry) {
+      Object.assign(price, this.pickPrices(entry));
+    }
+    return price;
+  },
+
+  /**
+   * pickPrices(entry):
+   * The purchase and feed-in prices an entry of timeOfUse or the price file sets.
+   */
+  pickPrices: function (entry) {
+    const prices = {};
+    ["purchase", "feedIn"].filter((field) => typeof entry[field] === "number").forEach((field) => (prices[field] = entry[field]));
+    return prices;
+  },
+
+  /**
+   * getPriceFileEntry(plant, file, time):
+   * The entry of the price file (relative to the module directory) valid at
+   * time: [ { start: "2026-10-19 13:00", purchase: 0.241, feedIn: 0.08 }, ... ],
+   * each valid until its end, the next start or, for the last one, an hour.
+   * The file is read again when it changes, so a script can update it for
+   * dynamic tariffs; once it runs out the other prices apply again.
+   */
+  getPriceFileEntry: function (plant, file, time) {
+    if (!file) {
+      return null;
+    }
+    const fileName = path.resolve(__dirname, file);
+    try {
+      const modified = fs.statSync(fileName).mtimeMs;
+      if (!plant.prices || plant.prices.file !== fileName || plant.prices.modified !== modified) {
+        const entries = this.parseTimedEntries(JSON.parse(fs.readFileSync(fileName, "utf8")));
+        plant.prices = { file: fileName, modified, entries };
+        console.log(`[MMM-SunGrow] Loaded ${entries.length} prices from ${fileName}`);
+      }
+    } catch (error) {
+      if (!plant.prices || plant.prices.file !== fileName || !plant.prices.failed) {
+        console.error(`[MMM-SunGrow] Could not read price file ${fileName}:`, error.message);
+      }
+      plant.prices = { file: fileName, failed: true, entries: [] };
+      return null;
+    }
+
+    return this.findTimedEntry(plant.prices.entries, time);
+  },
+
+  /**
+   * parseTimedEntries(list):
+   * Sorts entries like { start: "2026-10-19 13:00", end, ... } by start and
+   * adds startTime and endTime (ms); without end an entry is valid until the
+   * next start or, for the last one, an hour.
+   */
+  parseTimedEntries: function (list) {
+    const entries = list
+      .map((entry) => Object.assign({}, entry, {
+        startTime: new Date(String(entry.start).replace(" ", "T")).getTime(),
+        endTime: entry.end ? new Date(String(entry.end).replace(" ", "T")).getTime() : null
+      }))
+      .filter((entry) => !isNaN(entry.startTime))
+      .sort((a, b) => a.startTime - b.startTime);
+    entries.forEach((entry, index) => {
+      if (!entry.endTime) {
+        entry.endTime = index + 1 < entries.length ? entries[index + 1].startTime : entry.startTime + 60 * 60 * 1000;
+      }
+    });
+    return entries;
+  },
+
+  /**
+   * findTimedEntry(entries, time):
+   * The entry of parseTimedEntries() valid at time, null if there is none.
+   */
+  findTimedEntry: function (entries, time) {
+    const now = time.getTime();
+    return entries.find((entry) => entry.startTime <= now && now < entry.endTime) || null;
+  },
+
+  /**
+   * summarizeMoney(plant, days, date):
+   * The FINANCIAL_DATA payload: money of date, its month and its year.
+   *  { financial: { currency, date, today, month, year } }, each { cost, revenue, savings, partial }
+   * Past days and months without complete money in the history (a fresh
+   * install, a restart) are priced from the ENERGY_HISTORY_DATA at the flat
+   * prices; without it they are partial (the sums are a minimum).
+   */
+  summarizeMoney: function (plant, days, date) {
+    const tariff = Object.assign({}, this.tariffDefaults, plant.config.tariff);
+    const energyHistory = plant.lastPayloads["MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_RECEIVED"]?.energyHistory;
+    const pad = (num) => String(num).padStart(2, "0");
+    const [year, month, day] = date.split("-").map(Number);
+
+    const sum = (list) => list.reduce((total, money) => {
+      ["cost", "revenue", "savings"].forEach((field) => (total[field] += money[field] || 0));
+      total.partial = total.partial || Boolean(money.partial);
+      return total;
+    }, { cost: 0, revenue: 0, savings: 0, partial: false });
+    const stored = (keys) => keys.map((key) => (days[key] && days[key].money) || {});
+    const complete = (keys) => stored(keys).every((money) => money.cost !== undefined && !money.partial);
+    // The stored money of the days of keys, else the energy of bar (Wh) at the flat prices
+    const price = (keys, bar) => {
+      if (complete(keys) || !bar) {
+        return Object.assign(sum(stored(keys)), complete(keys) ? {} : { partial: true });
+      }
+      return {
+        cost: bar.purchased / 1000 * tariff.purchase,
+        revenue: bar.feedIn / 1000 * tariff.feedIn,
+        savings: Math.max(bar.consumption - bar.purchased, 0) / 1000 * tariff.purchase
+      };
+    };
+    const range = (count) => Array.from({ length: count }, (unused, index) => index + 1);
+    const monthBars = energyHistory && energyHistory.month.period === `${year}-${pad(month)}` ? energyHistory.month.bars : [];
+    const yearBars = energyHistory && energyHistory.year.period === String(year) ? energyHistory.year.bars : [];
+
+    const today = sum(stored([date]));
+    const thisMonth = sum(range(day - 1)
+      .map((index) => price([`${year}-${pad(month)}-${pad(index)}`], monthBars[index - 1]))
+      .concat([today]));
+    const thisYear = sum(range(month - 1)
+      .map((index) => price(range(new Date(year, index, 0).getDate()).map((dayIndex) => `${year}-${pad(index)}-${pad(dayIndex)}`), yearBars[index - 1]))
+      .concat([thisMonth]));
+
+    return {
+      financial: { currency: tariff.currency, date, today, month: thisMonth, year: thisYear }
+    };
+  },
+
+  /**
+   * compareHistory(days, date):
+   * Compares the totals of date with the day before and the same day last year
+   * and finds the best production and self consumption days:
+   *  {
+   *    history: {
+   *      date, days,
+   *      today:     { production, consumption, feedIn, purchased, selfConsumption },
+   *      yesterday: { ... } or null,
+   *      lastYear:  { ... } or null,
+   *      records:   { production: { date, value }, selfConsumption: { date, value } }
+   *    }
+   *  }
+   */
+  compareHistory: function (days, date) {
+    const shift = (dayCount, years) => {
+      const day = new Date(`${date}T12:00:00`);
+      day.setFullYear(day.getFullYear() - years, day.getMonth(), day.getDate() - dayCount);
+      return this.formatDateTime(day).slice(0, 10);
+    };
+    const best = (field) => Object.keys(days).reduce((record, day) => (
+      !record || days[day][field] > record.value ? { date: day, value: days[day][field] } : record
+    ), null);
+
+    return {
+      history: {
+        date,
+        days: Object.keys(days).length,
+        today: days[date],
+        yesterday: days[shift(1, 0)] || null,
+        lastYear: days[shift(0, 1)] || null,
+        records: {
+          production: best("production"),
+          selfConsumption: best("selfConsumption")
+        }
+      }
+    };
+  },
+
+  /**
+   * getStoredSeries(history):
+   * The stored daily totals as daily (YYYYMMDD) and monthly (YYYYMM) series
+   * like fetchEnergySeries() returns them.
+   */
+  getStoredSeries: function (history) {
+    const days = {};
+    const months = {};
+    Object.keys(history.days).forEach((date) => {
+      const day = date.replace(/-/g, "");
+      const month = day.slice(0, 6);
+      days[day] = history.days[date];
+      months[month] = months[month] || { production: 0, consumption: 0, feedIn: 0, purchased: 0 };
+      ["production", "consumption", "feedIn", "purchased"].forEach((field) => (months[month][field] += history.days[date][field]));
+    });
+    return { days, months };
+  },
+
+  /**
+   * fetchForecastData(plant, now):
+   * Computes today's expected production (clear sky at the plant's location,
+   * see getClearSkyPower(), reduced by the cloud cover of config.forecast.cloudCover)
+   * every 15 minutes and compares it with the production so far. The expected
+   * day total is kept in the history, so past days below the model are flagged too.
+   *  { forecast: { date, interval, corrected, samples: [ { minute, power } ], expected,
+   *                expectedSoFar, actual, threshold, underperforming, belowDays: [ { date, production, expected } ] } }
+   * Power in W, energy in Wh. Needs no API request.
+   */
+  fetchForecastData: async function (plant, now = new Date()) {
+    try {
+      const settings = this.getForecastSettings(plant);
+      if (!settings) {
+        this.logDebug(plant, "[MMM-SunGrow] fetchForecastData() - no location or peak power yet, skipping the forecast");
+        return;
+      }
+      const cloudCover = await this.readCloudCover(plant, settings.cloudCover);
+
+      // 1) Expected power of the day
+      const interval = 15;
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      const samples = [];
+      for (let minute = 0; minute <= 1440; minute += interval) {
+        const time = new Date(day.getTime() + minute * 60 * 1000);
+        const entry = cloudCover ? this.findTimedEntry(cloudCover, time) : null;
+        // Kasten & Czeplak: share of the clear sky irradiance left at a cloud cover
+        const cloudFactor = entry && typeof entry.cloudCover === "number"
+          ? 1 - 0.75 * Math.pow(Math.min(Math.max(entry.cloudCover, 0), 100) / 100, 3.4)
+          : 1;
+        samples.push({ minute, power: Math.round(this.getClearSkyPower(settings, time) * cloudFactor) });
+      }
+      const energy = (list) => list.reduce((total, sample) => total + (sample.power * interval) / 60, 0);
+      const nowMinute = now.getHours() * 60 + now.getMinutes();
+      const expected = energy(samples);
+      const expectedSoFar = energy(samples.filter((sample) => sample.minute < nowMinute));
+
+      // 2) Actual production so far, from the day energy
+      const dayEnergy = plant.lastPayloads["MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED"];
+      const production = dayEnergy?.energyDetails.meters.find((meter) => meter.type === "Production");
+      const actual = production ? production.values[0].value : null;
+
+      // 3) Keep the expected total with the day's totals, flag the past days below it
+      const date = this.formatDateTime(now).slice(0, 10);
+      const history = this.getHistory(plant);
+      if (history && history.days[date]) {
+        history.days[date].expected = Math.round(expected);
+        this.saveHistory(plant, now);
+      }
+
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_FORECAST_DATA_RECEIVED",
+        {
+          forecast: {
+            date,
+            interval,
+            corrected: Boolean(cloudCover),
+            samples,
+            expected: Math.round(expected),
+            expectedSoFar: Math.round(expectedSoFar),
+            actual,
+            threshold: settings.threshold,
+            underperforming: this.isUnderperforming(actual, expectedSoFar, expected, settings.threshold),
+            belowDays: history ? this.getDaysBelowForecast(history.days, date, settings.threshold) : []
+          }
+        }
+      );
+
+    } catch (error) {
+      console.error("[MMM-SunGrow] fetchForecastData error:", error);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * getForecastSettings(plant):
+   * config.forecast with its defaults; location and peak power default to
+   * the plant details. Null as long as one of them is unknown.
+   */
+  getForecastSettings: function (plant) {
+    const settings = Object.assign({}, this.forecastDefaults, plant.config.forecast);
+    const location = this.getPlantLocation(plant);
+    if (typeof settings.peakPower !== "number") {
+      settings.peakPower = plant.lastPayloads["MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_RECEIVED"]?.details.peakPower;
+    }
+    if (!location || !settings.peakPower) {
+      return null;
+    }
+    return Object.assign(settings, location);
+  },
+
+  /**
+   * getPlantLocation(plant):
+   * { latitude, longitude } of config.forecast, else of the plant details.
+   * Null as long as it is unknown.
+   */
+  getPlantLocation: function (plant) {
+    const configured = plant.config.forecast || {};
+    const details = plant.lastPayloads["MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_RECEIVED"]?.details;
+    const location = {};
+    ["latitude", "longitude"].forEach((field) => {
+      location[field] = typeof configured[field] === "number" ? configured[field] : details?.location[field];
+    });
+    if (typeof location.latitude !== "number" || typeof location.longitude !== "number") {
+      return null;
+    }
+    return location;
+  },
+
+  /**
+   * sendSunData(plant, time):
+   * With config.nightMode, works out whether it is night at the plant
+   * (sun below the horizon) and sends it with the next sunrise and sunset:
+   *  { sun: { night, sunrise: "YYYY-MM-DD HH:mm:ss", sunset } }
+   * plant.night slows the polling down, see getNextDelay(). Without a location
+   * (none in config.forecast and none in the plant details, or no details to
+   * come) night mode stays off, which is logged once.
+   */
+  sendSunData: function (plant, time) {
+    const location = plant.config.nightMode ? this.getPlantLocation(plant) : null;
+    if (!location) {
+      plant.night = false;
+      const detailsKnown = plant.lastPayloads["MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_RECEIVED"] ||
+        !this.getTasks(plant).find((task) => task.name === "details").enabled;
+      if (plant.config.nightMode && detailsKnown && !plant.nightModeWarned) {
+        console.warn(`[MMM-SunGrow] nightMode is off for ${plant.key}: the location is unknown, set forecast.latitude and forecast.longitude`);
+        plant.nightModeWarned = true;
+      }
+      return;
+    }
+    const night = this.getSunPosition(time, location.latitude, location.longitude).elevation < this.sunHorizon;
+    if (night !== plant.night) {
+      console.log(`[MMM-SunGrow] ${night ? "Sunset" : "Sunrise"} at ${plant.key}, live data every ${night ? plant.config.nightUpdateInterval : plant.config.updateInterval} ms`);
+    }
+    plant.night = night;
+
+    // the next ones: after sunset tomorrow's sunrise
+    const next = (event) => {
+      const day = new Date(time.getFullYear(), time.getMonth(), time.getDate());
+      for (let offset = 0; offset < 2; offset++) {
+        const date = this.getSunEvents(new Date(day.getFullYear(), day.getMonth(), day.getDate() + offset), location)[event];
+        if (date && date > time) {
+          return this.formatDateTime(date);
+        }
+      }
+      return null;
+    };
+    this.sendData(
+      plant,
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_SUN_DATA_RECEIVED",
+      { sun: { night, sunrise: next("sunrise"), sunset: next("sunset") } }
+    );
+  },
+
+  /**
+   * getSunEvents(day, location):
+   * Sunrise and sunset (Date, to the minute) of the day starting at day, when
+   * the sun crosses sunHorizon. Null for an event that does not happen (polar day or night).
+   */
+  getSunEvents: function (day, location) {
+    const step = 10 * 60 * 1000;
+    const above = (ms) => this.getSunPosition(new Date(ms), location.latitude, location.longitude).elevation >= this.sunHorizon;
+    const events = { sunrise: null, sunset: null };
+    for (let start = day.getTime(); start < day.getTime() + 24 * 60 * 60 * 1000; start += step) {
+      const before = above(start);
+      if (before === above(start + step)) {
+        continue;
+      }
+      // narrow the crossing down to a minute
+      let low = start;
+      let high = start + step;
+      while (high - low > 60 * 1000) {
+        const middle = (low + high) / 2;
+        if (above(middle) === before) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      events[before ? "sunset" : "sunrise"] = new Date(Math.round(high / 60000) * 60000);
+    }
+    return events;
+  },
+
+  /**
+   * isUnderperforming(actual, expectedSoFar, expected, threshold):
+   * True if the production so far is more than threshold % below the model.
+   * Not judged before 5 % of the expected day total is due.
+   */
+  isUnderperforming: function (actual, expectedSoFar, expected, threshold) {
+    if (actual === null || expectedSoFar < expected * 0.05) {
+      return false;
+    }
+    return actual < expectedSoFar * (1 - threshold / 100);
+  },
+
+  /**
+   * getDaysBelowForecast(days, date, threshold):
+   * The last seven days before date whose production stayed more than
+   * threshold % below their expected total, most recent first.
+   */
+  getDaysBelowForecast: function (days, date, threshold) {
+    return Object.keys(days)
+      .filter((day) => day < date && days[day].expected > 0)
+      .sort()
+      .slice(-7)
+      .reverse()
+      .filter((day) => days[day].production < days[day].expected * (1 - threshold / 100))
+      .map((day) => ({ date: day, production: days[day].production, expected: days[day].expected }));
+  },
+
+  /**
+   * getSunPosition(time, latitude, longitude):
+   * Elevation above the horizon and azimuth (from north, clockwise) of the
+   * sun in degrees, low precision formulas of the Astronomical Almanac
+   * (about 0.01° until 2050).
+   */
+  getSunPosition: function (time, latitude, longitude) {
+    const rad = Math.PI / 180;
+    // days since J2000.0
+    const n = time.getTime() / 86400000 + 2440587.5 - 2451545;
+    const meanLongitude = (280.46 + 0.9856474 * n) % 360;
+    const meanAnomaly = ((357.528 + 0.9856003 * n) % 360) * rad;
+    const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly)) * rad;
+    const obliquity = (23.439 - 0.0000004 * n) * rad;
+    const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+    const siderealTime = ((18.697374558 + 24.06570982441908 * n) % 24) * 15 * rad;
+    const hourAngle = siderealTime + longitude * rad - rightAscension;
+    const lat = latitude * rad;
+
+    const elevation = Math.asin(Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle));
+    const azimuth = Math.atan2(-Math.sin(hourAngle), Math.tan(declination) * Math.cos(lat) - Math.sin(lat) * Math.cos(hourAngle));
+    return { elevation: elevation / rad, azimuth: ((azimuth / rad) + 360) % 360 };
+  },
+
+  /**
+   * getClearSkyPower(settings, time):
+   * Expected PV power in W under a clear sky: direct irradiance after the
+   * air mass (Kasten & Young, Meinel), 10 % diffuse and 20 % ground
+   * reflection on a plane with settings.tilt and settings.azimuth (180 = south),
+   * scaled to settings.peakPower (kWp at 1000 W/m²) minus settings.losses (%).
+   */
+  getClearSkyPower: function (settings, time) {
+    const rad = Math.PI / 180;
+    const sun = this.getSunPosition(time, settings.latitude, settings.longitude);
+    if (sun.elevation <= 0) {
+      return 0;
+    }
+    const zenith = 90 - sun.elevation;
+    const airMass = 1 / (Math.cos(zenith * rad) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+    const direct = 1353 * Math.pow(0.7, Math.pow(airMass, 0.678));
+    const diffuse = 0.1 * direct;
+    const global = direct * Math.cos(zenith * rad) + diffuse;
+
+    const tilt = settings.tilt * rad;
+    const incidence = Math.cos(zenith * rad) * Math.cos(tilt) +
+      Math.sin(zenith * rad) * Math.sin(tilt) * Math.cos((sun.azimuth - settings.azimuth) * rad);
+    const irradiance = direct * Math.max(incidence, 0) +
+      diffuse * (1 + Math.cos(tilt)) / 2 +
+      0.2 * global * (1 - Math.cos(tilt)) / 2;
+
+    return settings.peakPower * irradiance * (1 - settings.losses / 100);
+  },
+
+  /**
+   * readCloudCover(plant, source):
+   * The cloud cover entries of config.forecast.cloudCover, a file relative
+   * to the module directory or a http(s) URL, e.g. of a local weather station:
+   * [ { start: "2026-10-19 13:00", cloudCover: 40 }, ... ] (%), each valid like
+   * the entries of the price file. Null without source or if it can not be read.
+   */
+  readCloudCover: async function (plant, source) {
+    if (!source) {
+      return null;
+    }
+    try {
+      let list;
+      if (/^https?:\/\//.test(source)) {
+        const res = await fetch(source, { timeout: 10000 });
+        if (!res.ok) {
+          throw new Error(`HTTP error! status: ${res.status}`);
+        }
+        list = await res.json();
+      } else {
+        list = JSON.parse(await fs.promises.readFile(path.resolve(__dirname, source), "utf8"));
+      }
+      plant.cloudCoverFailed = false;
+      return this.parseTimedEntries(list);
+    } catch (error) {
+      if (!plant.cloudCoverFailed) {
+        console.error(`[MMM-SunGrow] Could not read cloud cover ${source}, the forecast is not corrected:`, error.message);
+      }
+      plant.cloudCoverFailed = true;
+      return null;
+    }
+  },
+
+  /**
+   * publishMqtt(plant, notification):
+   * With config.mqtt, publishes the plant's live power, day energy and alarms
+   * as one retained JSON state (<topicPrefix>/<plantId>/state) and announces
+   * each value once via Home Assistant discovery. Power in W (grid > 0 is
+   * purchase, battery > 0 is charging), energy in Wh.
+   */
+  publishMqtt: function (plant, notification) {
+    if (!plant.config.mqtt || !this.mqttNotifications.includes(notification)) {
+      return;
+    }
+    const connection = this.getMqttConnection(plant);
+    if (!connection) {
+      return;
+    }
+
+    const payload = plant.lastPayloads[notification];
+    plant.mqtt = plant.mqtt || { state: {}, announced: new Set() };
+    if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED") {
+      const powerFlow = payload.siteCurrentPowerFlow;
+      const factor = { kW: 1000, MW: 1000000 }[powerFlow.unit] || 1;
+      const sum = (filter) => Math.round((powerFlow.flows || []).filter(filter).reduce((total, flow) => total + flow.power * factor, 0));
+      Object.assign(plant.mqtt.state, {
+        pv: Math.round(powerFlow.PV.currentPower * factor),
+        load: Math.round(powerFlow.LOAD.currentPower * factor),
+        grid: sum((flow) => flow.from === "GRID") - sum((flow) => flow.to === "GRID"),
+        battery: powerFlow.STORAGE ? sum((flow) => flow.to === "STORAGE") - sum((flow) => flow.from === "STORAGE") : null,
+        soc: powerFlow.STORAGE ? powerFlow.STORAGE.chargeLevel : null
+      });
+    } else if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED") {
+      payload.energyDetails.meters.forEach((meter) => {
+        const key = meter.type.charAt(0).toLowerCase() + meter.type.slice(1);
+        plant.mqtt.state[key] = meter.values[0].value;
+      });
+    } else {
+      plant.mqtt.state.alarms = payload.alarms.map((alarm) => ({
+        severity: alarm.severity,
+        device: alarm.device,
+        message: alarm.message,
+        since: alarm.since
+      }));
+    }
+
+    this.announceMqtt(plant, connection);
+    connection.client.publish(`${this.getMqttBase(plant, connection)}/state`, JSON.stringify(plant.mqtt.state), { retain: true });
+  },
+
+  /**
+   * announceMqtt(plant, connection):
+   * Sends the retained Home Assistant discovery config of every value the
+   * state has and that was not announced yet (no battery, no battery sensors).
+   */
+  announceMqtt: function (plant, connection) {
+    const plantId = this.getMqttPlantId(plant);
+    const base = this.getMqttBase(plant, connection);
+    const name = plant.discovery?.plants.find((entry) => entry.id === plant.discovery.psId)?.name;
+
+    this.mqttSensors
+      .filter((sensor) => plant.mqtt.state[sensor.key] !== undefined && plant.mqtt.state[sensor.key] !== null)
+      .filter((sensor) => !plant.mqtt.announced.has(sensor.key))
+      .forEach((sensor) => {
+        const component = sensor.key === "alarms" ? "binary_sensor" : "sensor";
+        const discovery = {
+          name: sensor.name,
+          unique_id: `sungrow_${plantId}_${sensor.key}`,
+          state_topic: `${base}/state`,
+          value_template: sensor.key === "alarms"
+            ? "{{ 'ON' if value_json.alarms | length > 0 else 'OFF' }}"
+            : `{{ value_json.${sensor.key} }}`,
+          availability_topic: `${connection.prefix}/status`,
+          device_class: sensor.deviceClass,
+          device: {
+            identifiers: [`sungrow_${plantId}`],
+            name: name || `SunGrow ${plantId}`,
+            manufacturer: "Sungrow"
+          }
+        };
+        if (sensor.key === "alarms") {
+          discovery.json_attributes_topic = `${base}/state`;
+          discovery.json_attributes_template = "{{ {'alarms': value_json.alarms} | tojson }}";
+        } else {
+          discovery.unit_of_measurement = sensor.unit;
+          discovery.state_class = sensor.stateClass;
+        }
+        connection.client.publish(
+          `${connection.discoveryPrefix}/${component}/sungrow_${plantId}/${sensor.key}/config`,
+          JSON.stringify(discovery),
+          { retain: true }
+        );
+        plant.mqtt.announced.add(sensor.key);
+      });
+  },
+
+  /**
+   * getMqttConnection(plant):
+   * The broker connection for the plant's config.mqtt, shared by all plants
+   * with the same broker and topic prefix. <topicPrefix>/status is the
+   * availability topic: "online" while connected, "offline" as last will.
+   * Returns null when the optional mqtt package is not installed.
+   */
+  getMqttConnection: function (plant) {
+    const options = Object.assign({}, this.mqttDefaults, plant.config.mqtt);
+    const key = `${options.url}|${options.topicPrefix}`;
+
+    if (this.mqttConnections[key] === undefined) {
+      let mqtt;
+      try {
+        mqtt = require("mqtt");
+      } catch (error) {
+        console.error("[MMM-SunGrow] MQTT output needs the mqtt package, run \"npm install mqtt\" in the module folder");
+        this.mqttConnections[key] = null;
+        return null;
+      }
+
+      const statusTopic = `${options.topicPrefix}/status`;
+      const client = mqtt.connect(options.url, {
+        username: options.username,
+        password: options.password,
+        will: { topic: statusTopic, payload: "offline", retain: true }
+      });
+      const connection = { client, prefix: options.topicPrefix, discoveryPrefix: options.discoveryPrefix, plants: new Set() };
+
+      client.on("connect", () => {
+        console.log(`[MMM-SunGrow] MQTT connected to ${options.url}`);
+        client.publish(statusTopic, "online", { retain: true });
+        client.subscribe(`${options.discoveryPrefix}/status`);
+      });
+      // Home Assistant restarted: announce everything again
+      client.on("message", (topic, message) => {
+        if (topic === `${options.discoveryPrefix}/status` && message.toString() === "online") {
+          connection.plants.forEach((plantKey) => {
+            const connected = this.plants[plantKey];
+            if (connected.mqtt) {
+              connected.mqtt.announced.clear();
+              this.announceMqtt(connected, connection);
+            }
+          });
+        }
+      });
+      client.on("error", (error) => console.error("[MMM-SunGrow] MQTT error:", error.message));
+
+      this.mqttConnections[key] = connection;
+    }
+
+    if (this.mqttConnections[key]) {
+      this.mqttConnections[key].plants.add(plant.key);
+    }
+    return this.mqttConnections[key];
+  },
+
+  /**
+   * getMqttPlantId(plant) / getMqttBase(plant, connection):
+   * The plant's id in topics and unique ids, and its topic below the prefix.
+   */
+  getMqttPlantId: function (plant) {
+    return String((plant.discovery && plant.discovery.psId) || plant.config.plantId || "mock");
+  },
+
+  getMqttBase: function (plant, connection) {
+    return `${connection.prefix}/${this.getMqttPlantId(plant)}`;
+  },
+
+  /**
+   * stop():
+   * Called by MagicMirror on shutdown: marks the MQTT output offline and
+   * closes the Modbus connections.
+   */
+  stop: function () {
+    Object.values(this.plants)
+      .filter((plant) => plant.modbus && plant.modbus.socket)
+      .forEach((plant) => plant.modbus.socket.destroy());
+    Object.values(this.mqttConnections).filter(Boolean).forEach((connection) => {
+      connection.client.publish(`${connection.prefix}/status`, "offline", { retain: true });
+      connection.client.end();
+    });
+  },
+
+  /**
+   * handleMockRequest(plant, notification):
+   * Answers a data request from the front-end without iSolarCloud.
+   * config.mockScenario selects what is played back:
+   *  - "static"       the payloads from mock/ (PV with battery)
+   *  - "staticPv"     the payloads from mock/ (PV without battery)
+   *  - "sunnyDay"     a full day from sunrise to sunset with battery
+   *  - "nightBattery" an evening/night discharging the battery down to its reserve
+   *  - "gridOutage"   an off-grid day, PV and battery cover the load alone
+   *  - "apiError"     a sunny day where every fourth request fails with a typical API error
+   * The simulated clock advances config.mockTimeStep minutes per live data request.
+   */
+  handleMockRequest: function (plant, notification) {
+    const scenario = plant.config.mockScenario || "static";
+
+    try {
+      if (scenario === "static" || scenario === "staticPv") {
+        this.sendStaticMockData(plant, notification, scenario);
+        return;
+      }
+
+      if (!plant.mockState || plant.mockState.scenario !== scenario) {
+        plant.mockState = this.createMockState(scenario);
+      }
+
+      switch (notification) {
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_REQUESTED":
+          this.sendData(
+            plant,
+            "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_RECEIVED",
+            this.readMockFile("details.json")
+          );
+          break;
+
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_REQUESTED": {
+          plant.mockState.requests++;
+          if (scenario === "apiError" && plant.mockState.requests % 4 === 0) {
+            const message = plant.mockState.errors[(plant.mockState.requests / 4 - 1) % plant.mockState.errors.length];
+            throw new Error(message);
+          }
+          this.advanceMockState(plant);
+          plant.points.currentPower = plant.mockState.point;
+          this.addCurveSample(plant, plant.mockState.point, plant.mockState.clock);
+          this.recordSnapshot(plant, plant.mockState.point, plant.mockState.clock);
+          const transformed = this.transformCurrentPowerData(plant.mockState.point);
+          if (scenario === "gridOutage") {
+            transformed.siteCurrentPowerFlow.GRID.status = "Disconnected";
+          }
+          this.sendData(
+            plant,
+            "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_RECEIVED",
+            transformed
+          );
+          this.sendSunData(plant, plant.mockState.clock);
+          this.sendPowerCurve(plant);
+          this.sendMockCustomPoints(plant);
+          break;
+        }
+
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_INVERTER_DATA_REQUESTED":
+          this.sendMockInverter(plant, parseFloat(plant.mockState.point.p13011) || 0);
+          break;
+
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_REQUESTED":
+          this.sendData(
+            plant,
+            "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_RECEIVED",
+            { alarms: this.filterAlarms(plant, this.createMockAlarms(plant.mockState)) }
+          );
+          break;
+
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_POWER_CURVE_DATA_REQUESTED":
+          // The curve is filled by the simulated live data
+          this.sendPowerCurve(plant);
+          break;
+
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_FORECAST_DATA_REQUESTED":
+          this.fetchForecastData(plant, plant.mockState.clock);
+          break;
+
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_REQUESTED":
+          this.sendData(
+            plant,
+            "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_RECEIVED",
+            this.createMockEnergyHistory(plant.mockState.clock, plant.mockState.day)
+          );
+          this.sendFinancial(plant);
+          break;
+
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_REQUESTED": {
+          const day = plant.mockState.day;
+          plant.points.dayEnergy = {
+            p13112: day.production.toFixed(1),
+            p13199: day.consumption.toFixed(1),
+            p13122: day.feedIn.toFixed(1),
+            p13147: day.purchased.toFixed(1),
+            p13116: day.selfConsumption.toFixed(1),
+            p13028: day.charged.toFixed(1),
+            p13029: day.discharged.toFixed(1)
+          };
+          this.sendData(
+            plant,
+            "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_RECEIVED",
+            this.transformDayEnergyData(plant.points.dayEnergy)
+          );
+          this.recordDayTotals(plant, plant.points.dayEnergy, plant.mockState.clock);
+          break;
+        }
+
+        case "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_REQUESTED": {
+          const overview = this.readMockFile("overview.json");
+          const today = plant.mockState.day.production;
+          overview.overview.lastUpdateTime = this.formatDateTime(plant.mockState.clock);
+          overview.overview.lastDayData.energy = today;
+          overview.overview.lastMonthData.energy += today;
+          overview.overview.lastYearData.energy += today;
+          overview.overview.lifeTimeData.energy += today;
+          overview.overview.currentPower.power = parseFloat(plant.mockState.point.p13011);
+          this.sendData(
+            plant,
+            "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_RECEIVED",
+            overview
+          );
+          break;
+        }
+      }
+    } catch (error) {
+      console.error("[MMM-SunGrow] mock data error:", error.message);
+      this.sendError(plant, error.message);
+    }
+  },
+
+  /**
+   * sendStaticMockData(plant, notification, scenario):
+   * Sends the unmodified payload from the mock/ folder that matches the request.
+   */
+  sendStaticMockData: function (plant, notification, scenario) {
+    const files = {
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_DETAILS_DATA_REQUESTED": "details.json",
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_REQUESTED":
+        scenario === "staticPv" ? "currentPowerFlowPv.json" : "currentPowerFlowPvBattery.json",
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_OVERVIEW_DATA_REQUESTED": "overview.json",
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_DAY_ENERGY_DATA_REQUESTED": "dayEnergy.json"
+    };
+    if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_INVERTER_DATA_REQUESTED") {
+      this.sendMockInverter(plant, 1690);
+      return;
+    }
+    if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_REQUESTED") {
+      this.sendData(plant, "MMM-SunGrow-NOTIFICATION_SUNGROW_ALARMS_DATA_RECEIVED", { alarms: [] });
+      return;
+    }
+    if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_FORECAST_DATA_REQUESTED") {
+      this.fetchForecastData(plant, new Date());
+      return;
+    }
+    if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_REQUESTED") {
+      this.sendData(
+        plant,
+        "MMM-SunGrow-NOTIFICATION_SUNGROW_ENERGY_HISTORY_DATA_RECEIVED",
+        this.createMockEnergyHistory(new Date(), null)
+      );
+      return;
+    }
+    if (!files[notification]) {
+      return;
+    }
+    this.sendData(
+      plant,
+      notification.replace("_REQUESTED", "_RECEIVED"),
+      this.readMockFile(files[notification])
+    );
+    if (notification === "MMM-SunGrow-NOTIFICATION_SUNGROW_CURRENTPOWER_DATA_REQUESTED") {
+      this.sendMockCustomPoints(plant);
+    }
+  },
+
+  /**
+   * sendMockInverter(plant, pvPower):
+   * A hybrid inverter with two MPPTs sharing pvPower; the second string is
+   * partly shaded (60 % of the first).
+   */
+  sendMockInverter: function (plant, pvPower) {
+    const first = pvPower / 1.6;
+    const dp = {
+      p13019: (28 + pvPower / 400).toFixed(1),
+      p13001: pvPower > 0 ? "412.5" : "0",
+      p13002: (first / 412.5).toFixed(2),
+      p13105: pvPower > 0 ? "398.2" : "0",
+      p13106: ((first * 0.6) / 398.2).toFixed(2),
+      dev_status: "1",
+      dev_fault_status: "4"
+    };
+    const device = { sn: "A2231234567", name: "SH10RT",                 model: "SH10RT", firmware: "SAPPHIRE-H_01011.95.05" };
+    this.sendData(
+      plant,
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_INVERTER_DATA_RECEIVED",
+      { inverters: [this.transformInverterData(plant, device, dp, this.inverterPoints[this.deviceTypes.storage])] }
+    );
+  },
+
+  /**
+   * sendMockCustomPoints(plant):
+   * config.customPoints with the mock values of pointCatalogue (0 for points
+   * that are not in the catalogue).
+   */
+  sendMockCustomPoints: function (plant) {
+    const definitions = this.getCustomPoints(plant);
+    if (!definitions.length) {
+      return;
+    }
+    this.sendData(
+      plant,
+      "MMM-SunGrow-NOTIFICATION_SUNGROW_CUSTOM_POINTS_DATA_RECEIVED",
+      this.transformCustomPoints(definitions, (definition) => definition.mock || 0)
+    );
+  },
+
+  /**
+   * readMockFile(fileName):
+   * Reads and parses a JSON file from the module's mock/ folder.
+   */
+  readMockFile: function (fileName) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, "mock", fileName), "utf8"));
+  },
+
+  /**
+   * createMockEnergyHistory(now, today):
+   * A made up energy history with a seasonal production curve, up to now.
+   * today (the simulated day counters) replaces the value of the current day.
+   */
+  createMockEnergyHistory: function (now, today) {
+    const pad = (num) => String(num).padStart(2, "0");
+    // Production peaks in June, consumption in January (Wh per day)
+    const season = (month) => Math.cos(((month - 5.5) / 12) * 2 * Math.PI);
+    const day = (month, index) => {
+      const weather = 0.6 + 0.4 * Math.abs(Math.sin(index * 1.7 + month));
+      const production = Math.round((25000 + 20000 * season(month)) * weather);
+      const consumption = Math.round(11000 - 3000 * season(month));
+      const selfUsed = Math.min(production, consumption) * 0.7;
+      return {
+        production,
+        consumption,
+        feedIn: Math.round(production - selfUsed),
+        purchased: Math.round(consumption - selfUsed)
+      };
+    };
+    const sumDays = (month, count) => {
+      const total = { production: 0, consumption: 0, feedIn: 0, purchased: 0 };
+      for (let index = 1; index <= count; index++) {
+        const values = day(month, index);
+        Object.keys(total).forEach((field) => (total[field] += values[field]));
+      }
+      return total;
+    };
+
+    const month = now.getMonth();
+    const daysInMonth = new Date(now.getFullYear(), month + 1, 0).getDate();
+    const monthBars = Array.from({ length: daysInMonth }, (unused, index) => {
+      let values = { production: 0, consumption: 0, feedIn: 0, purchased: 0 };
+      if (index + 1 < now.getDate()) {
+        values = day(month, index + 1);
+      } else if (index + 1 === now.getDate() && today) {
+        values = { production: today.production, consumption: today.consumption, feedIn: today.feedIn, purchased: today.purchased };
+      }
+      return Object.assign({ label: String(index + 1) }, values);
+    });
+    const yearBars = Array.from({ length: 12 }, (unused, index) => {
+      let values = { production: 0, consumption: 0, feedIn: 0, purchased: 0 };
+      if (index < month) {
+        values = sumDays(index, new Date(now.getFullYear(), index + 1, 0).getDate());
+      } else if (index === month) {
+        monthBars.forEach((bar) => Object.keys(values).forEach((field) => (values[field] += bar[field])));
+      }
+      return Object.assign({ label: String(index + 1) }, values);
+    });
+
+    return {
+      energyHistory: {
+        month: { period: `${now.getFullYear()}-${pad(month + 1)}`, bars: monthBars },
+        year: { period: `${now.getFullYear()}`, bars: yearBars }
+      }
+    };
+  },
+
+  /**
+   * createMockAlarms(state):
+   * The alarms the simulation raises: a grid loss while off-grid.
+   */
+  createMockAlarms: function (state) {
+    if (state.gridAvailable) {
+      return [];
+    }
+    return [{
+      id: "mock-grid-loss",
+      code: "010",
+      severity: "critical",
+      device: "SH10RT",
+      message: "Grid power outage",
+      since: this.formatDateTime(new Date(state.clock.getFullYear(), state.clock.getMonth(), state.clock.getDate(), 9))
+    }];
+  },
+
+  /**
+   * createMockState(scenario):
+   * Initial simulation state: simulated clock, battery, daily energy counters.
+   */
+  createMockState: function (scenario) {
+    const clock = new Date();
+    const startHour = { sunnyDay: 5, nightBattery: 19, gridOutage: 9, apiError: 10 }[scenario];
+    if (startHour === undefined) {
+      throw new Error(`Unknown mockScenario "${scenario}"`);
+    }
+    clock.setHours(startHour, 0, 0, 0);
+
+    return {
+      scenario,
+      clock,
+      requests: 0,
+      peakPower: 8000,         // W
+      batteryCapacity: 10000,  // Wh
+      batteryMaxPower: 5000,   // W
+      batteryReserve: 10,      // %
+      soc: scenario === "nightBattery" ? 95 : 30,
+      gridAvailable: scenario !== "gridOutage",
+      day: { production: 0, consumption: 0, feedIn: 0, purchased: 0, selfConsumption: 0, charged: 0, discharged: 0 },
+      point: {},
+      errors: [
+        "Login error: The account or password is incorrect",
+        "HTTP error! status: 429",
+        "Battery data error: er_token_login_invalid",
+        "getPowerStationDetail error: The plant is offline"
+      ]
+    };
+  },
+
+  /**
+   * advanceMockState(plant):
+   * Moves the simulated clock one step forward, balances PV, load, battery and
+   * grid for that moment and accumulates the daily energy counters.
+   * The result is stored as device_point (plant.mockState.point) like the API sends it.
+   */
+  advanceMockState: function (plant) {
+    const state = plant.mockState;
+    const stepMinutes = plant.config.mockTimeStep || 15;
+    const stepHours = stepMinutes / 60;
+    const previousDay = state.clock.getDate();
+    state.clock = new Date(state.clock.getTime() + stepMinutes * 60 * 1000);
+    if (state.clock.getDate() !== previousDay) {
+      Object.keys(state.day).forEach((key) => (state.day[key] = 0));
+    }
+
+    const hour = state.clock.getHours() + state.clock.getMinutes() / 60;
+
+    // PV follows a sine between 6:00 and 20:00
+    const pv = hour > 6 && hour < 20 ? Math.round(state.peakPower * Math.sin((Math.PI * (hour - 6)) / 14)) : 0;
+    // Base load with a morning and an evening peak
+    let load = 350;
+    if (hour >= 6.5 && hour < 8) {
+      load += 1200;
+    } else if (hour >= 12 && hour < 13) {
+      load += 1800;
+    } else if (hour >= 18 && hour < 21.5) {
+      load += 900;
+    }
+
+    // Balance: PV covers the load first, surplus charges the battery, then the grid takes the rest
+    let surplus = pv - load;
+    let charge = 0;
+    let discharge = 0;
+    if (surplus > 0 && state.soc < 100) {
+      charge = Math.min(surplus, state.batteryMaxPower, ((100 - state.soc) / 100) * state.batteryCapacity / stepHours);
+    } else if (surplus < 0 && state.soc > state.batteryReserve) {
+      discharge = Math.min(-surplus, state.batteryMaxPower, ((state.soc - state.batteryReserve) / 100) * state.batteryCapacity / stepHours);
+    }
+    surplus = surplus - charge + discharge;
+
+    let feedIn = 0;
+    let purchased = 0;
+    if (state.gridAvailable) {
+      feedIn = Math.max(surplus, 0);
+      purchased = Math.max(-surplus, 0);
+    } else if (surplus < 0) {
+      // Off-grid and the battery is at its reserve: the inverter sheds load
+      load += surplus;
     }
+    // Off-grid surplus is curtailed by the inverter
+    const production = state.gridAvailable ? pv : pv - Math.max(surplus, 0);
+
+    state.soc += ((charge - discharge) * stepHours / state.batteryCapacity) * 100;
+
+    state.day.production += production * stepHours;
+    state.day.consumption += load * stepHours;
+    state.day.feedIn += feedIn * stepHours;
+    state.day.purchased += purchased * stepHours;
+    state.day.selfConsumption += Math.min(production, load) * stepHours;
+    state.day.charged += charge * stepHours;
+    state.day.discharged += discharge * stepHours;
+
+    state.point = {
+      p13126: charge.toFixed(1),
+      p13150: discharge.toFixed(1),
+      p13141: (state.soc / 100).toFixed(3),
+      p13119: load.toFixed(1),
+      p13011: production.toFixed(1),
+      p13121: feedIn.toFixed(1),
+      p13149: purchased.toFixed(1),
+      p13142: "0.98",
+      // a few degrees above the room while the battery works
+      p13143: (21 + ((charge + discharge) / state.batteryMaxPower) * 6).toFixed(1)
+    };
+  },
+
+  /**
+   * formatDateTime(date):
+   * Formats a Date as "YYYY-MM-DD HH:mm:ss" in local time.
+   */
+  formatDateTime: function (date) {
+    const pad = (num) => String(num).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
   }
 
 });